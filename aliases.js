@@ -0,0 +1,210 @@
+/**
+ * Aliases Module - Canonical team ids and accent-insensitive team search
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * Feeds spell clubs differently across seasons and sources ("Blau-Weiß Linz",
+ * "Blau-Weiss Linz", "BW Linz"). Every spelling is reduced to a normalised form
+ * (lower case, no accents, punctuation as spaces) and looked up in the registry, so
+ * all of a club's variants share one id. Names missing from the registry get the id
+ * of their normalised form, which still joins spellings that only differ in accents.
+ */
+
+const TeamAliases = {
+    // Known variants by canonical name; the canonical name is what tables and profiles show
+    REGISTRY: {
+        'Manchester Utd': ['Manchester United', 'Man United', 'Man Utd'],
+        'Manchester City': ['Man City'],
+        'Newcastle Utd': ['Newcastle', 'Newcastle United'],
+        "Nott'ham Forest": ['Nottingham Forest', "Nott'm Forest", 'Nottingham'],
+        'Tottenham': ['Tottenham Hotspur', 'Spurs'],
+        'Wolves': ['Wolverhampton', 'Wolverhampton Wanderers'],
+        'Leeds United': ['Leeds'],
+        'Brighton': ['Brighton and Hove Albion', 'Brighton & Hove Albion'],
+        'Paris S-G': ['Paris Saint-Germain', 'Paris SG', 'PSG'],
+        'Eint Frankfurt': ['Eintracht Frankfurt', 'Frankfurt'],
+        'Gladbach': ["M'gladbach", 'Mönchengladbach', 'Borussia Mönchengladbach'],
+        'Dortmund': ['Borussia Dortmund', 'BVB'],
+        'Bayern Munich': ['Bayern München', 'FC Bayern', 'Bayern'],
+        'Köln': ['FC Köln', '1. FC Köln', 'Cologne'],
+        'Mainz 05': ['Mainz', 'FSV Mainz 05'],
+        'Hamburger SV': ['Hamburg', 'HSV'],
+        'Inter': ['Internazionale', 'Inter Milan'],
+        'Milan': ['AC Milan'],
+        'Hellas Verona': ['Verona'],
+        'Atlético Madrid': ['Ath Madrid', 'Atleti'],
+        'Athletic Club': ['Athletic Bilbao', 'Ath Bilbao'],
+        'Betis': ['Real Betis'],
+        'Celta Vigo': ['Celta'],
+        "Sparta R'dam": ['Sparta Rotterdam'],
+        'Go Ahead Eag': ['Go Ahead Eagles'],
+        'PSV Eindhoven': ['PSV'],
+        'Sporting CP': ['Sporting Lisbon', 'Sporting'],
+        'Standard Liège': ['Standard'],
+        'Union SG': ['Union Saint-Gilloise', 'Royale Union SG'],
+        'OH Leuven': ['Oud-Heverlee Leuven'],
+        'Başakşehir': ['Istanbul Başakşehir'],
+        'Botafogo (RJ)': ['Botafogo'],
+        'Vasco da Gama': ['Vasco'],
+        'Atlético Mineiro': ['Atletico-MG'],
+        'Blau-Weiß Linz': ['BW Linz', 'FC Blau-Weiß Linz'],
+        'RB Salzburg': ['Red Bull Salzburg', 'FC Salzburg', 'Salzburg'],
+        'Austria Wien': ['Austria Vienna', 'FK Austria Wien'],
+        'Rapid Wien': ['Rapid Vienna', 'SK Rapid'],
+        'Sturm Graz': ['SK Sturm Graz'],
+        'WSG Tirol': ['WSG Swarovski Tirol'],
+        'SCR Altach': ['Rheindorf Altach', 'Altach'],
+        'LASK': ['LASK Linz'],
+        'Wolfsberger AC': ['Wolfsberger', 'WAC'],
+        'Shanghai Shen': ['Shanghai Shenhua'],
+        'Shanghai Port': ['Shanghai SIPG'],
+        'Beijing Guoan': ['Beijing Sinobo Guoan'],
+        'Shandong Taishan': ['Shandong Luneng'],
+        'Henan': ['Henan Songshan Longmen', 'Henan Jianye'],
+        'Zhejiang': ['Zhejiang Professional', 'Zhejiang FC', 'Zhejiang Greentown'],
+        'Jinmen Tiger': ['Tianjin Jinmen Tiger', 'Tianjin Teda'],
+        'Qingdao West Coast': ['Qingdao Westcoast'],
+        'Qingdao Hainiu': ['Qingdao Manatee'],
+        'Chengdu Rongcheng': ['Chengdu Better City'],
+        'Shenzhen Peng City': ['Shenzhen Pengcheng', 'Sichuan Jiuniu'],
+        'Wuhan Three Towns': ['Wuhan 3 Towns']
+    },
+
+    // Normalised name -> {id, name}, built from the registry on first use
+    lookup: null,
+
+    // Normalised variants per id, for search
+    variants: null,
+
+    // Ids of names already resolved
+    cache: new Map(),
+
+    /**
+     * Reduce a name to lower case letters and digits separated by single spaces, without accents
+     * @param {string} text - Team name or search text
+     * @returns {string} Normalised text
+     */
+    normalise(text) {
+        return String(text ?? '')
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Register more variants, e.g. for a feed with its own spellings
+     * @param {string} name - Canonical name
+     * @param {Array<string>} aliases - Other spellings
+     */
+    register(name, aliases) {
+        this.REGISTRY[name] = [...(this.REGISTRY[name] || []), ...aliases];
+        this.lookup = null;
+        this.cache.clear();
+    },
+
+    buildLookup() {
+        this.lookup = new Map();
+        this.variants = new Map();
+        Object.entries(this.REGISTRY).forEach(([name, aliases]) => {
+            const id = this.normalise(name).replace(/ /g, '-');
+            [name, ...aliases].forEach(variant => this.lookup.set(this.normalise(variant), { id, name }));
+            this.variants.set(id, [name, ...aliases].map(variant => this.normalise(variant)));
+        });
+    },
+
+    /**
+     * Canonical id of a team name
+     * @param {string} name - Team name as given by a feed
+     * @returns {string} Id, e.g. "blau-weiss-linz"
+     */
+    getId(name) {
+        if (!this.lookup) this.buildLookup();
+        if (!this.cache.has(name)) {
+            const normalised = this.normalise(name);
+            const known = this.lookup.get(normalised);
+            this.cache.set(name, known ? known.id : normalised.replace(/ /g, '-'));
+        }
+        return this.cache.get(name);
+    },
+
+    /**
+     * Canonical name of a team
+     * @param {string} name - Team name as given by a feed
+     * @returns {string} Registry name, or the name itself when it is not registered
+     */
+    getName(name) {
+        if (!this.lookup) this.buildLookup();
+        const known = this.lookup.get(this.normalise(name));
+        return known ? known.name : name;
+    },
+
+    /**
+     * Whether two names are the same team
+     * @param {string} a - Team name
+     * @param {string} b - Team name
+     * @returns {boolean} True when both have the same id
+     */
+    isSame(a, b) {
+        return this.getId(a) === this.getId(b);
+    },
+
+    /**
+     * Accent-insensitive fuzzy search over a team's name and registered variants. Every word
+     * of the query has to appear in one variant, or be a small typo away from the start of
+     * one of its words: one edit for words of 5 to 7 letters, two from 8 letters. A word
+     * that is itself a registered name of another team is never treated as a typo.
+     * @param {string} name - Team name
+     * @param {string} query - Search text
+     * @returns {boolean} True when the team matches
+     */
+    matches(name, query) {
+        const terms = this.normalise(query).split(' ').filter(Boolean);
+        if (!terms.length) return true;
+        if (!this.lookup) this.buildLookup();
+        const id = this.getId(name);
+        const candidates = [this.normalise(name), ...(this.variants.get(id) || [])];
+        const isOtherTeam = term => this.lookup.has(term) && this.lookup.get(term).id !== id;
+        return candidates.some(candidate => {
+            const words = candidate.split(' ');
+            return terms.every(term => candidate.includes(term)
+                || (!isOtherTeam(term) && words.some(word => this.isTypo(word, term))));
+        });
+    },
+
+    isTypo(word, term) {
+        if (term.length < 5) return false;
+        const allowed = term.length >= 8 ? 2 : 1;
+        return [word, word.slice(0, term.length)].some(target => this.distance(target, term) <= allowed);
+    },
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swaps of neighbours
+     * @param {string} a - Text
+     * @param {string} b - Text
+     * @returns {number} Number of edits
+     */
+    distance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TeamAliases;
+} else {
+    window.TeamAliases = TeamAliases;
+}
@@ -4,6 +4,38 @@
 let footballData = [];
 let filteredData = [];
 const charts = {};
+const DATA_CONFIG = {
+    endpoints: ['https://s5y2qnhsfe.execute-api.eu-central-1.amazonaws.com/'],
+    cacheKey: 'public-forecasts',
+    timeout: 10000
+};
+const PROBABILITY = { type: 'string', pattern: '^\\d*\\.?\\d+$', minimum: 0, maximum: 1 };
+const GOALS = { type: 'string', pattern: '^\\d*\\.?\\d+$' };
+const SCORE = { type: ['string', 'null'], pattern: '^\\d*$' };
+const MATCH_SCHEMA = {
+    type: 'object',
+    required: ['country', 'league', 'season', 'week', 'date', 'home', 'away', 'home_score', 'away_score',
+        'home_forecast', 'draw_forecast', 'away_forecast', 'home_goals_forecast', 'away_goals_forecast'],
+    properties: {
+        country: { type: 'string', minLength: 1 },
+        league: { type: 'string', minLength: 1 },
+        season: { type: 'string', minLength: 1 },
+        week: { type: 'string', pattern: '^\\d+$' },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        home: { type: 'string', minLength: 1 },
+        away: { type: 'string', minLength: 1 },
+        home_score: SCORE,
+        away_score: SCORE,
+        home_forecast: PROBABILITY,
+        draw_forecast: PROBABILITY,
+        away_forecast: PROBABILITY,
+        home_goals_forecast: GOALS,
+        away_goals_forecast: GOALS,
+        result_suggestion: { type: 'string' },
+        goals_suggestion: { type: 'string' },
+        status: { type: 'string' }
+    }
+};
 const chartColors = [
     '#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F',
     '#DB4545', '#D2BA4C', '#964325', '#944454', '#13343B'
@@ -16,9 +48,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     getLeagueCount();
     setupTabs();
     setupFilters();
+    setupSimulator();
+    setupThresholdExplorer();
+    setupTeamProfile();
+    setupStandings();
+    setupScorelines();
+    setupMatchDrawer();
+    setupExports();
+    setupImport();
     updateDashboard();
     renderForecasts();
     renderResults();
+    renderSimulation();
+    renderThresholdExplorer();
+    setupRouter();
     setTimeout(() => {
         hideLoading();
     }, 1000);
@@ -26,19 +69,38 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // Data Fetching
 async function fetchFootballData() {
-    const url = 'https://s5y2qnhsfe.execute-api.eu-central-1.amazonaws.com/';
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-        const rawData = await response.json();
-        footballData = Array.isArray(rawData) ? rawData : [rawData];
-        if (!footballData.length || !footballData[0]?.home) throw new Error('Invalid data');
-        filteredData = [...footballData];
-    } catch (err) {
-        console.warn('Falling back to mock data:', err.message);
-        footballData = data;
-        filteredData = [...footballData];
-    }
+    const result = await DataSource.load({ ...DATA_CONFIG, schema: MATCH_SCHEMA, fallback: data });
+    footballData = result.records.map(record => MatchModel.fromPublic(record));
+    filteredData = [...footballData];
+    if (result.errors.length) console.warn('Data source fallbacks:', result.errors);
+    if (result.rejected.length) console.warn('Rejected rows:', result.rejected);
+    renderDataBanner(result);
+}
+
+function renderDataBanner(result) {
+    const banner = document.getElementById('dataBanner');
+    if (!banner) return;
+    const latest = footballData.filter(isMatchCompleted).map(m => MatchModel.getDateKey(m)).sort().pop();
+    const messages = {
+        live: () => `Live data, fetched ${DataSource.formatAge(result.fetchedAt)}`,
+        cached: () => `Cached data from ${DataSource.formatAge(result.fetchedAt)} (${new Date(result.fetchedAt).toLocaleString()}), the live feed is unavailable`,
+        bundled: () => `Bundled fallback data, latest result ${latest || 'unknown'}; the live feed and cache are unavailable`
+    };
+    banner.className = `data-banner data-banner--${result.source}`;
+    banner.innerHTML = `<span>${messages[result.source]()}</span>${getRejectedHTML(result.rejected)}`;
+}
+
+// Collapsible list of rejected rows and why, for feed records and imported files alike
+function getRejectedHTML(rejected) {
+    if (!rejected.length) return '';
+    const teams = record => {
+        const info = record?.['match-info'] || {};
+        const [home, away] = record?.home ? [record.home, record.away] : [info.Home, info.Away];
+        return home ? ` (${escapeHtml(home)} - ${escapeHtml(away)})` : '';
+    };
+    return `<details><summary>${rejected.length} row${rejected.length === 1 ? '' : 's'} rejected</summary><ul>${
+        rejected.map(r => `<li>Row ${r.index + 1}${teams(r.record)}: ${escapeHtml(r.errors.join('; '))}</li>`).join('')
+    }</ul></details>`;
 }
 
 function getLeagueCount() {
@@ -47,31 +109,99 @@ function getLeagueCount() {
 }
 
 // Tab Navigation
+let activeTab = 'dashboard';
+
 function setupTabs() {
-    const tabButtons = document.querySelectorAll('.tab-btn');
-    const tabContents = document.querySelectorAll('.tab-content');
-    tabButtons.forEach(btn => {
+    document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.addEventListener('click', e => {
             e.preventDefault();
-            tabButtons.forEach(b => b.classList.remove('active'));
-            tabContents.forEach(c => c.classList.remove('active'));
-            btn.classList.add('active');
-            const tabId = btn.dataset.tab;
-            document.getElementById(tabId)?.classList.add('active');
-            if (tabId === 'analytics') setTimeout(resizeCharts, 100);
+            showTab(btn.dataset.tab);
         });
     });
 }
 
+// Tabs without a button (e.g. the team profile) simply leave every button inactive
+function showTab(tabId) {
+    document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tabId));
+    document.querySelectorAll('.tab-content').forEach(c => c.classList.toggle('active', c.id === tabId));
+    activeTab = tabId;
+    if (tabId === 'analytics' || tabId === 'team') setTimeout(resizeCharts, 100);
+    syncUrlState();
+}
+
 function resizeCharts() {
     Object.values(charts).forEach(chart => chart?.resize?.());
 }
 
+// URL State: the hash holds the tab, every filter and the opened team or match
+const URL_STATE_IDS = [
+    'countryFilter', 'forecastTypeFilter', 'teamSearch', 'countryHistoricalFilter', 'weekFilter', 'resultTypeFilter',
+    'calibrationCountryFilter', 'calibrationSeasonFilter', 'trendWindow', 'trendMarket', 'trendCountry',
+    'standingsFilter', 'teamFormCount',
+    'simMarkets', 'simPlan', 'simStake', 'simBankroll', 'simOdds',
+    'thresholdMarket', 'thresholdOdds', 'resultTierStrong', 'resultTierMedium', 'goalsTierStrong', 'goalsTierMedium'
+];
+const urlDefaults = {};
+let openMatchId = null;
+let restoringUrlState = false;
+
+function setupRouter() {
+    URL_STATE_IDS.forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        urlDefaults[id] = el.value;
+        // Typing replaces the current history entry instead of adding one per keystroke
+        el.addEventListener(el.tagName === 'INPUT' ? 'input' : 'change', () => syncUrlState(el.type === 'text'));
+    });
+    HashRouter.listen(restoreUrlState);
+    if (window.location.hash) restoreUrlState(HashRouter.read());
+}
+
+function getUrlState() {
+    const state = { tab: activeTab === 'dashboard' ? '' : activeTab };
+    URL_STATE_IDS.forEach(id => {
+        const value = getValue(id);
+        if (value !== urlDefaults[id]) state[id] = value;
+    });
+    if (activeTab === 'team') state.team = currentTeam;
+    if (openMatchId) state.match = openMatchId;
+    return state;
+}
+
+function syncUrlState(replace = false) {
+    if (!restoringUrlState) HashRouter.update(getUrlState(), replace);
+}
+
+function restoreUrlState(state) {
+    restoringUrlState = true;
+    try {
+        URL_STATE_IDS.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.value = state[id] ?? urlDefaults[id];
+        });
+        updateStakeLabel();
+        applyFilters();
+        createCalibrationChart();
+        createTrendCharts();
+        renderStandings();
+        if (state.team) openTeamProfile(state.team);
+        else showTab(document.getElementById(state.tab) ? state.tab : 'dashboard');
+        if (state.match) openMatchDrawer(state.match);
+        else closeMatchDrawer();
+    } finally {
+        restoringUrlState = false;
+    }
+}
+
 // Filters
 function setupFilters() {
-    populateFilter('countryFilter', getUniqueValues('country'), 'All Countries');
-    populateFilter('countryHistoricalFilter', getUniqueValues('country'), 'All Countries');
-    populateFilter('weekFilter', getUniqueValues('week').sort((a, b) => b - a), 'All Weeks', v => `Week ${v}`);
+    populateFilters();
+    ['calibrationCountryFilter', 'calibrationSeasonFilter'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', createCalibrationChart);
+    });
+    ['trendWindow', 'trendMarket', 'trendCountry'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', createTrendCharts);
+    });
     [
         'countryFilter', 'countryHistoricalFilter', 'leagueFilter',
         'teamSearch', 'weekFilter', 'resultTypeFilter', 'forecastTypeFilter'
@@ -83,9 +213,20 @@ function setupFilters() {
     });
 }
 
+function populateFilters() {
+    populateFilter('countryFilter', getUniqueValues('country'), 'All Countries');
+    populateFilter('countryHistoricalFilter', getUniqueValues('country'), 'All Countries');
+    populateFilter('weekFilter', getUniqueValues('week').sort((a, b) => b - a), 'All Weeks', v => `Week ${v}`);
+    populateFilter('calibrationCountryFilter', getUniqueValues('country'), 'All Countries');
+    populateFilter('calibrationSeasonFilter', getUniqueValues('season').sort(), 'All Seasons');
+    populateFilter('trendCountry', getUniqueValues('country'), 'All Countries');
+}
+
+// Keeps the current selection when it is still one of the values
 function populateFilter(id, values, defaultLabel, labelFn = v => v) {
     const el = document.getElementById(id);
     if (!el) return;
+    const selected = el.value;
     el.innerHTML = `<option value="">${defaultLabel}</option>`;
     values.forEach(v => {
         const opt = document.createElement('option');
@@ -93,6 +234,7 @@ function populateFilter(id, values, defaultLabel, labelFn = v => v) {
         opt.textContent = labelFn(v);
         el.appendChild(opt);
     });
+    if ([...el.options].some(opt => opt.value === selected)) el.value = selected;
 }
 
 function getUniqueValues(key) {
@@ -114,13 +256,24 @@ function applyFilters() {
         (!filters.country || match.country === filters.country) &&
         (!filters.countryHistorical || match.country === filters.countryHistorical) &&
         (!filters.league || match.league === filters.league) &&
-        (!filters.search || [match.home, match.away].some(t => t?.toLowerCase().includes(filters.search))) &&
+        matchesSearch(match, filters.search) &&
         (!filters.week || match.week == filters.week) &&
         filterByResultType(match, filters.resultType) &&
         filterByForecastType(match, filters.forecastType)
     ));
     renderForecasts();
     renderResults();
+    renderSimulation();
+    renderThresholdExplorer();
+}
+
+// "Arsenal vs Chelsea" selects the meetings of the two teams, anything else matches either
+// team, ignoring accents and small typos and including the team's other spellings
+function matchesSearch(match, search) {
+    if (!search) return true;
+    const teams = HeadToHead.parseQuery(search);
+    if (teams) return HeadToHead.isBetween(match, teams);
+    return [match.home, match.away].some(t => TeamAliases.matches(t, search));
 }
 
 function getValue(id) {
@@ -142,8 +295,8 @@ function filterByResultType(match, type) {
 
 function filterByForecastType(match, type) {
     if (!type) return true;
-    const hasForecast = match.result_suggestion;
-    const hasGoals = match.goals_suggestion;
+    const hasForecast = match.resultSuggestion;
+    const hasGoals = match.goalsSuggestion;
     switch (type) {
         case 'forecast': return !!hasForecast;
         case 'goals': return !!hasGoals;
@@ -158,7 +311,7 @@ function filterByForecastType(match, type) {
 function updateDashboard() {
     const total = footballData.length;
     const completed = footballData.filter(isMatchCompleted);
-    const upcoming = footballData.filter(m => !isMatchCompleted(m));
+    const upcoming = getUpcomingMatches(footballData);
     const forecastAcc = calcAccuracy(completed, checkIsForecastCorrect);
     const goalsAcc = calcAccuracy(completed, checkIsGoalsCorrect);
     const chosenLabel = forecastAcc >= goalsAcc ? 'Forecast' : 'Goals';
@@ -171,7 +324,12 @@ function updateDashboard() {
     setText('bestLeague', bestLeague);
     setText('upcomingMatches', upcoming.length);
 
-    [createLeagueChart, createLeagueGoalsChart, createForecastTypeAccuracyChart, createTimelineChart, createProbabilityChart, createGoalsChart, createWeeklyChart].forEach((fn, i) =>
+    const scores = Metrics.summarise(getForecastRecords(completed));
+    setText('brierScore', formatScore(scores.brier));
+    setText('logLoss', formatScore(scores.logLoss));
+    setText('rpsScore', formatScore(scores.rps));
+
+    [createLeagueChart, createLeagueGoalsChart, createForecastTypeAccuracyChart, createCalibrationChart, createMetricsByCountryChart, createMetricsByWeekChart, createTrendCharts, createProbabilityChart, createGoalsChart].forEach((fn, i) =>
         setTimeout(() => { try { fn(); } catch (e) { console.error(e); } }, i * 100)
     );
 }
@@ -198,18 +356,73 @@ function getBestLeague(matches) {
     }, { league: '', acc: 0 }).league;
 }
 
+// Probability forecasts of completed matches, as consumed by Metrics
+function getForecastRecords(matches) {
+    return matches.filter(isMatchCompleted).map(m => {
+        const forecast = getForecast(m);
+        return {
+            match: m,
+            probs: [forecast.home, forecast.draw, forecast.away],
+            result: Settlement.getResult(MatchModel.getScore(m))
+        };
+    });
+}
+
+function formatScore(value) {
+    return value === null ? '-' : value.toFixed(3);
+}
+
+// Expected goals as the feed writes them; model output is rounded to one decimal
+function formatGoals(value) {
+    return value === null || Number.isInteger(value) ? value : value.toFixed(1);
+}
+
+// Monday of the calendar week a match falls in, as YYYY-MM-DD
+function getWeekStart(match) {
+    if (!match.date) return '';
+    const monday = new Date(match.date);
+    monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+    return MatchModel.getDateKey({ date: monday });
+}
+
+function compareDates(a, b) {
+    return (a.date?.getTime() || 0) - (b.date?.getTime() || 0);
+}
+
 function setText(id, text) {
     const el = document.getElementById(id);
     if (el) el.textContent = text;
 }
 
 // Forecasts & Results Rendering
+const STALE_FIXTURE_DAYS = 7;
+
+function getForecastMatches() {
+    return getUpcomingMatches(filteredData).sort(compareDates);
+}
+
+/**
+ * Matches still to be played. Postponed, abandoned and void fixtures are left out, and so are
+ * fixtures dated more than STALE_FIXTURE_DAYS before the latest result: the feed did not mark
+ * them, but they were not played as scheduled. Measuring from the latest result rather than
+ * today keeps the fixtures of an older snapshot.
+ */
+function getUpcomingMatches(matches) {
+    const latest = Math.max(...footballData.filter(isMatchCompleted).map(m => m.date || 0));
+    const staleBefore = latest - STALE_FIXTURE_DAYS * 86400000;
+    return matches.filter(m => MatchModel.isPending(m) && !(m.date && m.date < staleBefore));
+}
+
+function getResultMatches() {
+    return filteredData.filter(isMatchCompleted).sort((a, b) => compareDates(b, a));
+}
+
 function renderForecasts() {
-    renderMatches('forecastsGrid', filteredData.filter(m => !isMatchCompleted(m)).sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime()), false, 'No upcoming match forecasts found with current filters.');
+    renderMatches('forecastsGrid', getForecastMatches(), false, 'No upcoming match forecasts found with current filters.');
 }
 
 function renderResults() {
-    renderMatches('resultsGrid', filteredData.filter(isMatchCompleted).sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime()), true, 'No completed statistical analyses found with current filters.');
+    renderMatches('resultsGrid', getResultMatches(), true, 'No completed statistical analyses found with current filters.');
 }
 
 function renderMatches(containerId, matches, showResult, emptyMsg) {
@@ -220,55 +433,849 @@ function renderMatches(containerId, matches, showResult, emptyMsg) {
         : `<div class="card"><div class="card__body"><p>${emptyMsg}</p></div></div>`;
 }
 
+// Export
+function setupExports() {
+    document.querySelectorAll('.export-format').forEach(select => {
+        select.innerHTML = Object.entries(Exporter.FORMATS)
+            .map(([value, format]) => `<option value="${value}">${format.label}</option>`).join('');
+    });
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const tab = btn.dataset.export;
+            const matches = tab === 'forecasts' ? getForecastMatches() : getResultMatches();
+            Exporter.exportRecords(matches.map(getExportRecord), getValue(`${tab}ExportFormat`), `tnk-${tab}`);
+        });
+    });
+
+    // Every chart gets PNG, SVG and table downloads
+    document.querySelectorAll('.chart-container canvas').forEach(canvas => {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'chart-export';
+        toolbar.innerHTML = Object.entries(Exporter.CHART_FORMATS)
+            .map(([format, label]) => `<button class="btn btn--sm btn--outline" data-chart-format="${format}">${label}</button>`).join('');
+        toolbar.addEventListener('click', e => {
+            const format = e.target.dataset.chartFormat;
+            if (format) Exporter.exportChart(charts[canvas.id], format, canvas.id);
+        });
+        canvas.closest('.chart-container').appendChild(toolbar);
+    });
+}
+
+// Everything a card shows: forecast fields, the published suggestions and how they settled
+function getExportRecord(match) {
+    return {
+        id: match.id,
+        date: MatchModel.getDateKey(match),
+        country: match.country,
+        league: match.league,
+        season: match.season,
+        week: match.week,
+        home: match.home,
+        away: match.away,
+        homeScore: match.homeScore,
+        awayScore: match.awayScore,
+        predictions: match.predictions,
+        resultSuggestion: match.resultSuggestion,
+        resultOutcome: settleSuggestion(match, match.resultSuggestion) || '',
+        goalsSuggestion: match.goalsSuggestion,
+        goalsOutcome: settleSuggestion(match, match.goalsSuggestion) || ''
+    };
+}
+
+// Bankroll Simulator
+const STAKE_DEFAULTS = { flat: ['Stake (units)', 10], percentage: ['Stake (% of bankroll)', 2], kelly: ['Kelly Fraction', 0.25] };
+
+function setupSimulator() {
+    const plan = document.getElementById('simPlan');
+    if (plan) {
+        plan.innerHTML = Object.entries(BankrollSimulator.STAKING_PLANS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    }
+    plan?.addEventListener('change', () => {
+        document.getElementById('simStake').value = (STAKE_DEFAULTS[plan.value] || STAKE_DEFAULTS.flat)[1];
+        updateStakeLabel();
+    });
+    ['simMarkets', 'simPlan', 'simStake', 'simBankroll', 'simOdds'].forEach(id => {
+        const el = document.getElementById(id);
+        el?.addEventListener(el.tagName === 'INPUT' ? 'input' : 'change', renderSimulation);
+    });
+}
+
+function updateStakeLabel() {
+    setText('simStakeLabel', (STAKE_DEFAULTS[getValue('simPlan')] || STAKE_DEFAULTS.flat)[0]);
+}
+
+// Model probability that a suggestion wins: 1/X/2 markets use the published
+// probabilities, everything else a Poisson grid from the goal forecasts
+function getSuggestionProbability(match, suggestion) {
+    const found = Settlement.findMarket(suggestion);
+    if (!found) return null;
+    const forecast = getForecast(match);
+    const probs = { '1': forecast.home, 'X': forecast.draw, '2': forecast.away };
+    if (found.market.id === '1x2') return probs[found.params.result];
+    if (found.market.id === 'double-chance') return found.params.results.reduce((sum, r) => sum + probs[r], 0);
+    return Scoreline.marketProbability(Scoreline.matrix(forecast.homeGoals, forecast.awayGoals), suggestion);
+}
+
+function getSimulationBets(matches, markets, odds) {
+    const fields = { result: ['resultSuggestion'], goals: ['goalsSuggestion'], both: ['resultSuggestion', 'goalsSuggestion'] }[markets];
+    return matches
+        .filter(m => isMatchCompleted(m) || MatchModel.isVoid(m))
+        .sort(compareDates)
+        .flatMap(m => fields
+            .map(field => m[field])
+            .filter(suggestion => settleSuggestion(m, suggestion) !== undefined)
+            .map(suggestion => ({
+                date: MatchModel.getDateKey(m),
+                label: `${m.home} - ${m.away}: ${suggestion}`,
+                probability: getSuggestionProbability(m, suggestion),
+                odds,
+                outcome: settleSuggestion(m, suggestion)
+            })));
+}
+
+function renderSimulation() {
+    if (!document.getElementById('simulatorSection')) return;
+    const options = {
+        plan: getValue('simPlan') || 'flat',
+        stake: parseFloat(getValue('simStake')) || 0,
+        bankroll: parseFloat(getValue('simBankroll')) || 0
+    };
+    const odds = parseFloat(getValue('simOdds')) || 1;
+    const result = BankrollSimulator.run(getSimulationBets(filteredData, getValue('simMarkets') || 'both', odds), options);
+
+    setText('simRoi', `${(result.roi * 100).toFixed(1)}%`);
+    setText('simProfit', result.profit.toFixed(2));
+    setText('simDrawdown', `${(result.maxDrawdown * 100).toFixed(1)}%`);
+    setText('simStreak', result.longestLosingStreak);
+    setText('simBets', result.bets);
+    createBankrollChart(result.curve);
+}
+
+function createBankrollChart(curve) {
+    const canvas = document.getElementById('bankrollChart');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    charts.bankrollChart?.destroy();
+    charts.bankrollChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: curve.map(p => p.label),
+            datasets: [{
+                label: 'Bankroll',
+                data: curve.map(p => +p.bankroll.toFixed(2)),
+                borderColor: chartColors[0],
+                backgroundColor: chartColors[0] + '20',
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: true,
+                tension: 0.1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: { x: { ticks: { display: false } } },
+            plugins: { legend: { display: false } }
+        }
+    });
+}
+
+// Threshold Explorer: suggestions re-derived from the forecasts under a moving cut-off,
+// and the tiers that grade the published suggestions on the cards
+const TIER_LABELS = { strong: 'Strong', medium: 'Medium', weak: 'Weak' };
+
+function setupThresholdExplorer() {
+    const market = document.getElementById('thresholdMarket');
+    if (!market) return;
+    market.innerHTML = Object.entries(Thresholds.MARKETS)
+        .map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('');
+    ['thresholdMarket', 'thresholdOdds'].forEach(id => {
+        const el = document.getElementById(id);
+        el.addEventListener(el.tagName === 'INPUT' ? 'input' : 'change', renderThresholdExplorer);
+    });
+    ['resultTierStrong', 'resultTierMedium', 'goalsTierStrong', 'goalsTierMedium'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            renderForecasts();
+            renderResults();
+            renderThresholdExplorer();
+        });
+    });
+}
+
+// Tier cut-offs of the result (1X2, double chance, draw no bet) or goals suggestions
+function getTierCutoffs(field) {
+    const prefix = field === 'resultSuggestion' ? 'result' : 'goals';
+    return {
+        strong: parseFloat(getValue(`${prefix}TierStrong`)) || 0,
+        medium: parseFloat(getValue(`${prefix}TierMedium`)) || 0
+    };
+}
+
+function getSuggestionTier(match, field) {
+    if (!match[field]) return null;
+    return Thresholds.getTier(getSuggestionProbability(match, match[field]), getTierCutoffs(field));
+}
+
+function renderTierBadge(match, field) {
+    const tier = getSuggestionTier(match, field);
+    if (!tier) return '';
+    const probability = Math.round(getSuggestionProbability(match, match[field]) * 100);
+    return `<span class="tier-badge tier-badge--${tier}" title="${probability}% model probability">${TIER_LABELS[tier]}</span>`;
+}
+
+function getThresholdOdds(match, suggestion) {
+    return parseFloat(match.odds?.[suggestion]) || parseFloat(getValue('thresholdOdds')) || 1;
+}
+
+function renderThresholdExplorer() {
+    if (!document.getElementById('thresholdSection')) return;
+    const market = getValue('thresholdMarket') || 'result';
+    const completed = filteredData.filter(isMatchCompleted);
+    const curve = Thresholds.explore(completed, {
+        candidates: Thresholds.MARKETS[market].candidates,
+        thresholds: Thresholds.getRange(market),
+        getProbability: getSuggestionProbability,
+        settle: settleSuggestion,
+        getOdds: getThresholdOdds
+    });
+    createThresholdChart(curve);
+    renderTierTable(completed);
+}
+
+function createThresholdChart(curve) {
+    const canvas = document.getElementById('thresholdChart');
+    if (!canvas) return;
+    const percent = value => value === null ? null : +(value * 100).toFixed(1);
+    const series = [
+        ['Hit Rate', p => percent(p.hitRate)],
+        ['Coverage', p => percent(p.coverage)],
+        ['ROI', p => percent(p.roi)]
+    ];
+    charts.thresholdChart?.destroy();
+    charts.thresholdChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: curve.map(p => `${Math.round(p.threshold * 100)}%`),
+            datasets: series.map(([label, value], i) => ({
+                label,
+                data: curve.map(value),
+                borderColor: chartColors[i],
+                backgroundColor: chartColors[i] + '20',
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.1
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: { title: { display: true, text: 'Minimum probability' } },
+                y: { title: { display: true, text: '%' } }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        footer: items => `${curve[items[0].dataIndex].count} suggestions`
+                    }
+                }
+            }
+        }
+    });
+}
+
+function renderTierTable(completed) {
+    const table = document.getElementById('tierTable');
+    if (!table) return;
+    const percent = value => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+    const rows = [['resultSuggestion', 'Result'], ['goalsSuggestion', 'Goals']].flatMap(([field, label]) =>
+        Object.values(Thresholds.TIERS).map(tier => {
+            const bets = completed
+                .filter(m => getSuggestionTier(m, field) === tier)
+                .map(m => ({ outcome: settleSuggestion(m, m[field]), odds: getThresholdOdds(m, m[field]) }));
+            const summary = Thresholds.summarise(bets);
+            return `<tr><td>${label}</td><td><span class="tier-badge tier-badge--${tier}">${TIER_LABELS[tier]}</span></td>
+                <td>${summary.count}</td><td>${percent(summary.hitRate)}</td><td>${percent(summary.roi)}</td></tr>`;
+        }));
+    table.innerHTML = `<table class="data-table">
+        <thead><tr><th>Market</th><th>Tier</th><th>Suggestions</th><th>Hit Rate</th><th>ROI</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+    </table>`;
+}
+
+// Import: a user file is mapped onto the feed schema, validated row by row and
+// merged into (or replaces) the loaded matches, then every view is rebuilt
+let pendingImport = null;
+
+function setupImport() {
+    const dropzone = document.getElementById('importDropzone');
+    const input = document.getElementById('importFile');
+    if (!dropzone || !input) return;
+    ['dragenter', 'dragover'].forEach(type => dropzone.addEventListener(type, e => {
+        e.preventDefault();
+        dropzone.classList.add('import-dropzone--active');
+    }));
+    ['dragleave', 'drop'].forEach(type => dropzone.addEventListener(type, () => dropzone.classList.remove('import-dropzone--active')));
+    dropzone.addEventListener('drop', e => {
+        e.preventDefault();
+        if (e.dataTransfer.files[0]) readImportFile(e.dataTransfer.files[0]);
+    });
+    input.addEventListener('change', () => {
+        if (input.files[0]) readImportFile(input.files[0]);
+        input.value = '';
+    });
+    document.getElementById('importMapping').addEventListener('change', e => {
+        const row = e.target.closest('tr');
+        const field = e.target.dataset.field;
+        row.querySelector('.import-preview').textContent = Importer.applyMapping(pendingImport.rows.slice(0, 1), { [field]: e.target.value })[0][field] ?? '';
+    });
+    document.getElementById('importApply').addEventListener('click', applyImport);
+}
+
+async function readImportFile(file) {
+    try {
+        pendingImport = { fileName: file.name, ...Importer.parse(await file.text(), file.name) };
+    } catch (err) {
+        pendingImport = null;
+        document.getElementById('importSetup').classList.add('hidden');
+        renderImportReport('bundled', `Could not read ${file.name}: ${err.message}`);
+        return;
+    }
+    document.getElementById('importReport').classList.add('hidden');
+    renderImportSetup();
+}
+
+function renderImportSetup() {
+    const { fileName, layout, rows, columns } = pendingImport;
+    const isPublic = layout === Importer.LAYOUTS.PUBLIC;
+    setText('importSummary', `${fileName}: ${rows.length} row${rows.length === 1 ? '' : 's'} in the ${isPublic ? 'public feed' : 'analyst'} layout`);
+    document.getElementById('importSetup').classList.remove('hidden');
+    document.getElementById('importMappingTable').classList.toggle('hidden', !isPublic);
+    document.getElementById('importModelGroup').classList.toggle('hidden', isPublic);
+
+    if (isPublic) {
+        const fields = Object.keys(MATCH_SCHEMA.properties);
+        const mapping = Importer.guessMapping(columns, fields);
+        const preview = Importer.applyMapping(rows.slice(0, 1), mapping)[0];
+        const options = ['', ...columns].map(column => `<option value="${escapeHtml(column)}">${escapeHtml(column) || '(not imported)'}</option>`).join('');
+        document.getElementById('importMapping').innerHTML = fields.map(field => `
+            <tr>
+                <td>${field}${MATCH_SCHEMA.required.includes(field) ? ' <span class="import-required">*</span>' : ''}</td>
+                <td><select class="form-control" data-field="${field}">${options}</select></td>
+                <td class="import-preview">${escapeHtml(preview[field] ?? '')}</td>
+            </tr>
+        `).join('');
+        document.querySelectorAll('#importMapping select').forEach(select => { select.value = mapping[select.dataset.field]; });
+    } else {
+        const models = [...new Set(rows.flatMap(row => Object.keys(row['model-predictions'] || {})))].sort();
+        populateFilter('importModel', models, '');
+        document.querySelector('#importModel option[value=""]')?.remove();
+    }
+}
+
+function applyImport() {
+    if (!pendingImport) return;
+    const { fileName, layout, rows } = pendingImport;
+    let result;
+    let imported;
+    if (layout === Importer.LAYOUTS.PUBLIC) {
+        const mapping = {};
+        document.querySelectorAll('#importMapping select').forEach(select => { mapping[select.dataset.field] = select.value; });
+        result = DataSource.validateAll(Importer.applyMapping(rows, mapping), MATCH_SCHEMA);
+        imported = result.records.map(record => MatchModel.fromPublic(record));
+    } else {
+        const model = getValue('importModel');
+        result = Importer.validateAnalyst(rows);
+        // The public views need the chosen model's forecast on every match
+        result.records.forEach(record => {
+            if (!record['model-predictions'][model]) result.rejected.push({ index: rows.indexOf(record), record, errors: [`no ${model} prediction`] });
+        });
+        result.rejected.sort((a, b) => a.index - b.index);
+        imported = result.records.filter(record => record['model-predictions'][model]).map(record => fromAnalystImport(record, model));
+    }
+    if (!imported.length) {
+        renderImportReport('bundled', `Nothing imported from ${fileName}: every row was rejected`, result.rejected);
+        return;
+    }
+
+    const mode = getValue('importMode');
+    footballData = Importer.combine(footballData, imported, mode);
+    refreshData();
+    renderImportReport(result.rejected.length ? 'cached' : 'live',
+        `${mode === Importer.MODES.REPLACE ? 'Replaced the data with' : 'Merged'} ${imported.length} match${imported.length === 1 ? '' : 'es'} from ${fileName}; ${footballData.length} matches loaded`,
+        result.rejected);
+}
+
+function renderImportReport(status, message, rejected = []) {
+    const report = document.getElementById('importReport');
+    report.className = `data-banner data-banner--${status}`;
+    report.innerHTML = `<span>${escapeHtml(message)}</span>${getRejectedHTML(rejected)}`;
+}
+
+// An analyst record as the public views expect it: the chosen model becomes the published
+// forecast and its first result and goals suggestions the published suggestions
+function fromAnalystImport(record, model) {
+    const match = MatchModel.fromAnalyst(record);
+    const suggestions = (match.modelSuggestions[model] || []).flatMap(group => group.suggestions || []).map(s => s.suggestion);
+    const findSuggestion = markets => suggestions.find(s => markets.includes(Settlement.findMarket(s)?.market.id)) || '';
+    return {
+        ...match,
+        country: match.country || match.league,
+        predictions: { ...match.predictions, [MatchModel.PUBLISHED_MODEL]: match.predictions[model] },
+        resultSuggestion: findSuggestion(['1x2', 'double-chance', 'draw-no-bet']),
+        goalsSuggestion: findSuggestion(['over-under', 'btts'])
+    };
+}
+
+// Rebuild every view after footballData changed
+function refreshData() {
+    getLeagueCount();
+    populateFilters();
+    populateStandings();
+    updateDashboard();
+    applyFilters();
+    renderStandings();
+    renderTeamProfile();
+}
+
+// Team Profile
+let currentTeam = null;
+let teamReturnTab = 'dashboard';
+
+function setupTeamProfile() {
+    document.addEventListener('click', e => {
+        const link = e.target.closest('.team-link');
+        if (link) openTeamProfile(link.dataset.team);
+    });
+    document.getElementById('teamBack')?.addEventListener('click', () => showTab(teamReturnTab));
+    document.getElementById('teamFormCount')?.addEventListener('change', renderTeamProfile);
+}
+
+function openTeamProfile(team) {
+    closeMatchDrawer();
+    if (activeTab !== 'team') teamReturnTab = activeTab;
+    currentTeam = team;
+    renderTeamProfile();
+    showTab('team');
+}
+
+function renderTeamProfile() {
+    if (!currentTeam) return;
+    const model = MatchModel.PUBLISHED_MODEL;
+    const lastN = parseInt(getValue('teamFormCount')) || 5;
+    const teamMatches = TeamStats.getTeamMatches(footballData, currentTeam);
+    const summary = TeamStats.getSummary(footballData, currentTeam, model, lastN);
+    const completed = teamMatches.filter(isMatchCompleted);
+    const scores = Metrics.summarise(getForecastRecords(completed));
+
+    setText('teamName', TeamAliases.getName(currentTeam));
+    setText('teamLeague', [...new Set(teamMatches.map(m => `${m.league} ${m.season}`))].join(', '));
+    setText('teamRecord', `${summary.wins}-${summary.draws}-${summary.losses}`);
+    setText('teamGoals', `${summary.goalsFor}-${summary.goalsAgainst}`);
+    setText('teamForecastAccuracy', `${calcAccuracy(completed, checkIsForecastCorrect)}%`);
+    setText('teamGoalsAccuracy', `${calcAccuracy(completed, checkIsGoalsCorrect)}%`);
+    setText('teamBrier', formatScore(scores.brier));
+
+    const form = document.getElementById('teamForm');
+    if (form) {
+        form.innerHTML = summary.form.length
+            ? summary.form.map(r => `<span class="form-badge form-badge--${r}">${r}</span>`).join('')
+            : '<span class="form-empty">No completed matches</span>';
+    }
+
+    const rows = document.getElementById('teamForecasts');
+    if (rows) {
+        rows.innerHTML = [...teamMatches].reverse().map(m => {
+            const p = TeamStats.getPerspective(m, currentTeam, model);
+            const suggestions = [m.resultSuggestion, m.goalsSuggestion].filter(Boolean);
+            return `
+                <tr>
+                    <td>${MatchModel.getDateKey(m)}</td>
+                    <td>${p.venue === 'home' ? 'vs' : '@'} <span class="team-link" data-team="${escapeHtml(p.opponent)}">${p.opponent}</span></td>
+                    <td>${Math.round(p.winProb * 100)}% / ${Math.round(p.drawProb * 100)}% / ${Math.round(p.lossProb * 100)}%</td>
+                    <td>${p.expectedFor} - ${p.expectedAgainst}</td>
+                    <td>${p.result ? `${p.goalsFor} - ${p.goalsAgainst} <span class="form-badge form-badge--${p.result}">${p.result}</span>` : '-'}</td>
+                    <td>${suggestions.map(sug => `${sug} ${showCorrectIncorrect(checkSuggestion(m, sug), '')}`).join('<br>') || '-'}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    createTeamGoalsChart(teamMatches.map(m => TeamStats.getPerspective(m, currentTeam, model)));
+}
+
+function createTeamGoalsChart(perspectives) {
+    const canvas = document.getElementById('teamGoalsChart');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    charts.teamGoalsChart?.destroy();
+    const series = [
+        ['Expected For', p => p.expectedFor, chartColors[0], [5, 5]],
+        ['Actual For', p => p.goalsFor, chartColors[0], []],
+        ['Expected Against', p => p.expectedAgainst, chartColors[2], [5, 5]],
+        ['Actual Against', p => p.goalsAgainst, chartColors[2], []]
+    ];
+    charts.teamGoalsChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: perspectives.map(p => `${MatchModel.getDateKey(p.match)} ${p.venue === 'home' ? 'vs' : '@'} ${p.opponent}`),
+            datasets: series.map(([label, valueFn, color, dash]) => ({
+                label,
+                data: perspectives.map(valueFn),
+                borderColor: color,
+                backgroundColor: color,
+                borderDash: dash,
+                borderWidth: 2,
+                tension: 0.3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: { y: { beginAtZero: true, title: { display: true, text: 'Goals' } }, x: { ticks: { display: false } } },
+            plugins: { legend: { position: 'bottom' } }
+        }
+    });
+}
+
+// Standings
+function setupStandings() {
+    const select = document.getElementById('standingsFilter');
+    if (!select) return;
+    populateStandings();
+    select.addEventListener('change', renderStandings);
+    renderStandings();
+}
+
+function populateStandings() {
+    const tables = [...new Set(footballData.map(m => `${m.league}|${m.season}`))].sort();
+    populateFilter('standingsFilter', tables, 'Select League', v => v.replace('|', ' '));
+    document.querySelector('#standingsFilter option[value=""]')?.remove();
+}
+
+function renderStandings() {
+    const [league, season] = (getValue('standingsFilter') || '').split('|');
+    const matches = footballData.filter(m => m.league === league && m.season === season);
+    const rows = TeamStats.getStandings(matches, MatchModel.PUBLISHED_MODEL);
+    const teamCell = team => `<span class="team-link" data-team="${escapeHtml(team)}">${team}</span>`;
+    const record = r => `${r.wins}-${r.draws}-${r.losses}`;
+    const signed = (value, digits = 0) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+    const table = document.getElementById('standingsTable');
+    if (table) {
+        table.innerHTML = rows.map((r, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${teamCell(r.team)}</td>
+                <td>${r.played}</td>
+                <td>${r.wins}</td>
+                <td>${r.draws}</td>
+                <td>${r.losses}</td>
+                <td>${r.goalsFor}:${r.goalsAgainst}</td>
+                <td>${signed(r.goalDiff)}</td>
+                <td><strong>${r.points}</strong></td>
+                <td>${record(r.home)} (${r.home.points})</td>
+                <td>${record(r.away)} (${r.away.points})</td>
+            </tr>
+        `).join('') || '<tr><td colspan="11">No completed matches</td></tr>';
+    }
+
+    const expected = document.getElementById('expectedPointsTable');
+    if (expected) {
+        expected.innerHTML = [...rows].sort((a, b) => b.expectedPoints - a.expectedPoints).map((r, i) => {
+            const diff = r.points - r.expectedPoints;
+            return `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${teamCell(r.team)}</td>
+                    <td>${r.played}</td>
+                    <td>${r.expectedPoints.toFixed(1)}</td>
+                    <td>${r.points}</td>
+                    <td class="${diff >= 0 ? 'accuracy-correct' : 'accuracy-incorrect'}">${signed(diff, 1)}</td>
+                </tr>
+            `;
+        }).join('') || '<tr><td colspan="6">No completed matches</td></tr>';
+    }
+}
+
 // Match Card
 function createMatchCard(match, showResult = false) {
     const isForecastCorrect = checkIsForecastCorrect(match);
     const isGoalsCorrect = checkIsGoalsCorrect(match);
     const isBothCorrect = checkIsBothCorrect(match);
     const countryCode = getCountryCode(match.country);
+    const forecast = getForecast(match);
     return `
-        <div class="match-card">
+        <div class="match-card" data-id="${escapeHtml(match.id)}">
             <div class="match-header">
                 <div class="league-info">
                     <div class="country-flag">${countryCode}</div>
                     <span class="league-name">${match.league}</span>
                 </div>
-                <div class="match-week">Week ${match.week}</div>
+                <div class="match-week">${match.week !== null ? `Week ${match.week}` : ''}</div>
             </div>
             <div class="match-teams">
                 <div class="team-matchup">
-                    <div class="team-name home">${match.home}</div>
+                    <div class="team-name home team-link" data-team="${escapeHtml(match.home)}">${match.home}</div>
                     <div class="vs-separator">VS</div>
-                    <div class="team-name away">${match.away}</div>
+                    <div class="team-name away team-link" data-team="${escapeHtml(match.away)}">${match.away}</div>
                 </div>
                 <div class="team-matchup">
                     <div class="team-name home"></div>
-                    <div class="vs-separator">${match.date}</div>
+                    <div class="vs-separator">${MatchModel.getDateKey(match)}</div>
                     <div class="team-name away"></div>
                 </div>
             </div>
             <div class="match-predictions">
-                ${renderProbabilityRow('Home', match.home_forecast)}
-                ${renderProbabilityRow('Draw', match.draw_forecast)}
-                ${renderProbabilityRow('Away', match.away_forecast)}
+                ${renderProbabilityRow('Home', forecast.home)}
+                ${renderProbabilityRow('Draw', forecast.draw)}
+                ${renderProbabilityRow('Away', forecast.away)}
                 <div class="goals-prediction">
                     <span class="goals-label">Score Forecast:</span>
-                    <span class="goals-value">${match.home_goals_forecast} - ${match.away_goals_forecast}</span>
+                    <span class="goals-value">${formatGoals(forecast.homeGoals)} - ${formatGoals(forecast.awayGoals)}</span>
                 </div>
                 <div class="goals-prediction">
                     <span class="goals-label">Suggested:</span>
                     <span class="goals-value">
-                        ${match.result_suggestion}
-                        ${match.result_suggestion !== '' && match.goals_suggestion !== '' ? ' - ' : ''}
-                        ${match.goals_suggestion}
+                        ${match.resultSuggestion} ${renderTierBadge(match, 'resultSuggestion')}
+                        ${match.resultSuggestion !== '' && match.goalsSuggestion !== '' ? ' - ' : ''}
+                        ${match.goalsSuggestion} ${renderTierBadge(match, 'goalsSuggestion')}
                     </span>
                 </div>
             </div>
+            ${createScorelineSection(match)}
+            ${createHeadToHeadSection(match)}
             ${showResult ? renderMatchResult(match, isForecastCorrect, isGoalsCorrect, isBothCorrect) : ''}
         </div>
     `;
 }
 
+// Match Drawer: everything known about one match, opened by clicking its card.
+// The open match is kept in the URL, so a drawer can be shared as a link.
+function setupMatchDrawer() {
+    document.addEventListener('click', e => {
+        const card = e.target.closest('.match-card');
+        if (!card || e.target.closest('.team-link, .scoreline-section, .h2h-section')) return;
+        openMatchDrawer(card.dataset.id);
+    });
+    const close = () => {
+        closeMatchDrawer();
+        syncUrlState();
+    };
+    document.getElementById('drawerClose')?.addEventListener('click', close);
+    document.getElementById('drawerBackdrop')?.addEventListener('click', close);
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && openMatchId) close();
+    });
+}
+
+function openMatchDrawer(id) {
+    const match = footballData.find(m => m.id === id);
+    const drawer = document.getElementById('matchDrawer');
+    if (!match || !drawer) return;
+    openMatchId = id;
+    renderMatchDrawer(match);
+    drawer.classList.add('match-drawer--open');
+    drawer.setAttribute('aria-hidden', 'false');
+    document.getElementById('drawerBackdrop')?.classList.remove('hidden');
+    syncUrlState();
+}
+
+// Callers update the URL themselves, so closing on the way to another view adds one history entry
+function closeMatchDrawer() {
+    openMatchId = null;
+    const drawer = document.getElementById('matchDrawer');
+    drawer?.classList.remove('match-drawer--open');
+    drawer?.setAttribute('aria-hidden', 'true');
+    document.getElementById('drawerBackdrop')?.classList.add('hidden');
+}
+
+function renderMatchDrawer(match) {
+    const model = MatchModel.PUBLISHED_MODEL;
+    const percent = p => p === null ? '-' : `${Math.round(p * 100)}%`;
+    const teamCell = team => `<span class="team-link" data-team="${escapeHtml(team)}">${team}</span>`;
+    const section = (title, content) => `<section class="match-drawer-section"><h3>${title}</h3>${content}</section>`;
+    const table = (head, rows, empty) => rows.length
+        ? `<table class="data-table"><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+        : `<p class="form-empty">${empty}</p>`;
+
+    setText('drawerTitle', `${match.home} ${isMatchCompleted(match) ? `${match.homeScore} - ${match.awayScore}` : 'vs'} ${match.away}`);
+    setText('drawerSubtitle', [match.league, match.season, MatchModel.getDateKey(match)].filter(Boolean).join(' · '));
+
+    const info = [
+        ['Country', match.country], ['League', match.league], ['Season', match.season], ['Week', match.week],
+        ['Date', MatchModel.getDateKey(match)], ['Home', teamCell(match.home)], ['Away', teamCell(match.away)],
+        ['Final Score', isMatchCompleted(match) ? `${match.homeScore} - ${match.awayScore}` : 'Not played'],
+        ['Status', MatchModel.getStatusLabel(match)], ['Id', escapeHtml(match.id)]
+    ].map(([label, value]) => `<tr><th>${label}</th><td>${value ?? '-'}</td></tr>`).join('');
+
+    const predictions = Object.entries(match.predictions).map(([name, p]) => `
+        <tr>
+            <td>${escapeHtml(name)}</td>
+            <td>${percent(p.home)}</td>
+            <td>${percent(p.draw)}</td>
+            <td>${percent(p.away)}</td>
+            <td>${p.homeGoals === null ? '-' : `${formatGoals(p.homeGoals)} - ${formatGoals(p.awayGoals)}`}</td>
+        </tr>
+    `);
+
+    const suggestions = [
+        ...[match.resultSuggestion, match.goalsSuggestion].filter(Boolean).map(suggestion => [model, suggestion]),
+        ...Object.entries(match.modelSuggestions).flatMap(([name, groups]) =>
+            groups.flatMap(group => group.suggestions || []).map(s => [name, s.suggestion]))
+    ].map(([name, suggestion]) => {
+        const outcome = settleSuggestion(match, suggestion);
+        const isCorrect = Settlement.isCorrect(outcome);
+        const className = isCorrect === undefined ? '' : isCorrect ? 'accuracy-correct' : 'accuracy-incorrect';
+        return `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(suggestion)}</td><td class="${className}">${outcome || (isMatchCompleted(match) ? 'unsettled' : 'pending')}</td></tr>`;
+    });
+
+    const headToHead = getHeadToHeadRows(match, true);
+
+    // Form going into the match, so a finished match shows what was known beforehand
+    const before = footballData.filter(m => m.id !== match.id && compareDates(m, match) < 0);
+    const form = [match.home, match.away].map(team => {
+        const recent = TeamStats.getTeamMatches(before, team)
+            .filter(m => MatchModel.isCompleted(m))
+            .map(m => TeamStats.getPerspective(m, team, model))
+            .slice(-5);
+        const badges = recent.map(p => `<span class="form-badge form-badge--${p.result}" title="${MatchModel.getDateKey(p.match)} ${p.venue === 'home' ? 'vs' : '@'} ${escapeHtml(p.opponent)} ${p.goalsFor}-${p.goalsAgainst}">${p.result}</span>`).join('');
+        return `<p>${teamCell(team)}</p><div class="team-form">${badges || '<span class="form-empty">No earlier results</span>'}</div>`;
+    }).join('');
+
+    const body = document.getElementById('drawerBody');
+    body.dataset.id = match.id;
+    body.innerHTML = [
+        section('Match', `<table class="data-table"><tbody>${info}</tbody></table>`),
+        section('Model Predictions', table(['Model', '1', 'X', '2', 'Score'], predictions, 'No predictions')),
+        section('Suggestions', table(['Model', 'Suggestion', 'Settlement'], suggestions, 'No suggestions')),
+        createScorelineSection(match),
+        section('Head to Head', table(['Date', 'Match', 'Score', '1 / X / 2', 'Forecast'], headToHead, 'No earlier meetings in the data')),
+        section('Recent Form', form)
+    ].join('');
+    const scoreline = body.querySelector('.scoreline-section');
+    if (scoreline) scoreline.open = true;
+}
+
+// Head to Head: earlier meetings of a card's teams, with the forecast each time.
+// The index is rebuilt whenever the loaded matches are replaced.
+let headToHeadIndex = { data: null, pairs: new Map() };
+
+function getHeadToHeadMeetings(match) {
+    if (headToHeadIndex.data !== footballData) {
+        headToHeadIndex = { data: footballData, pairs: HeadToHead.index(footballData) };
+    }
+    return HeadToHead.getMeetings(headToHeadIndex.pairs, match);
+}
+
+function getHeadToHeadRows(match, showProbabilities = false) {
+    const percent = p => p === null ? '-' : `${Math.round(p * 100)}%`;
+    return getHeadToHeadMeetings(match).map(m => {
+        const forecast = getForecast(m);
+        const review = HeadToHead.review(m, forecast);
+        const verdict = review.pick === null ? '-'
+            : `<span class="${review.correct ? 'accuracy-correct' : 'accuracy-incorrect'}">${review.pick} ${review.correct ? '✓' : '✗'}</span>`;
+        return `
+            <tr>
+                <td>${MatchModel.getDateKey(m)}</td>
+                <td>${m.home} - ${m.away}</td>
+                <td><strong>${m.homeScore} - ${m.awayScore}</strong></td>
+                ${showProbabilities ? `<td>${percent(forecast.home)} / ${percent(forecast.draw)} / ${percent(forecast.away)}</td>` : ''}
+                <td>${verdict}</td>
+            </tr>
+        `;
+    });
+}
+
+function createHeadToHeadSection(match) {
+    const rows = getHeadToHeadRows(match);
+    if (!rows.length) return '';
+    const record = HeadToHead.summarise(getHeadToHeadMeetings(match), match.home);
+    return `
+        <details class="h2h-section">
+            <summary class="h2h-title">Head to Head (${rows.length})</summary>
+            <p class="h2h-record">${match.home}: ${record.wins}W ${record.draws}D ${record.losses}L, goals ${record.goalsFor}-${record.goalsAgainst}</p>
+            <table class="data-table">
+                <thead><tr><th>Date</th><th>Match</th><th>Score</th><th>Forecast</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        </details>
+    `;
+}
+
+// Scoreline Matrix (rendered when a card's section is first opened)
+function setupScorelines() {
+    // toggle does not bubble, so listen in the capture phase
+    document.addEventListener('toggle', e => {
+        if (e.target.classList?.contains('scoreline-section') && e.target.open) renderScoreline(e.target);
+    }, true);
+    document.addEventListener('change', e => {
+        if (e.target.classList.contains('scoreline-dc')) renderScoreline(e.target.closest('.scoreline-section'));
+    });
+}
+
+function createScorelineSection(match) {
+    const forecast = getForecast(match);
+    if (forecast.homeGoals === null || forecast.awayGoals === null) return '';
+    return `
+        <details class="scoreline-section">
+            <summary class="scoreline-title">Scoreline Matrix</summary>
+            <label class="scoreline-option"><input type="checkbox" class="scoreline-dc"> Dixon-Coles correction</label>
+            <div class="scoreline-body"></div>
+        </details>
+    `;
+}
+
+function renderScoreline(section) {
+    const match = footballData.find(m => m.id === section.closest('[data-id]').dataset.id);
+    if (!match) return;
+    const forecast = getForecast(match);
+    const rho = section.querySelector('.scoreline-dc').checked ? Scoreline.DIXON_COLES_RHO : 0;
+    const grid = Scoreline.matrix(forecast.homeGoals, forecast.awayGoals, Scoreline.MAX_GOALS, rho);
+    section.querySelector('.scoreline-body').innerHTML = grid ? createScorelineGridHTML(grid, match) : '';
+}
+
+function createScorelineGridHTML(grid, match) {
+    const likeliest = Scoreline.getLikeliest(grid);
+    const max = likeliest[0].probability;
+    const rank = (home, away) => likeliest.findIndex(s => s.home === home && s.away === away);
+    const isActual = (home, away) => match.homeScore === home && match.awayScore === away;
+    const percent = p => `${(p * 100).toFixed(1)}%`;
+
+    const rowsHTML = grid.map((row, home) => `
+        <tr>
+            <th>${home}</th>
+            ${row.map((p, away) => {
+                const classes = ['scoreline-cell'];
+                if (rank(home, away) === 0) classes.push('scoreline-cell--best');
+                else if (rank(home, away) > 0) classes.push('scoreline-cell--top');
+                if (isActual(home, away)) classes.push('scoreline-cell--actual');
+                return `<td class="${classes.join(' ')}" style="background: rgba(39, 165, 105, ${(p / max * 0.35).toFixed(2)})">${percent(p)}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    const marketsHTML = Scoreline.getDerivedMarkets(grid).map(market => `
+        <div class="scoreline-market">
+            <span class="scoreline-market-label">${market.label}</span>
+            ${market.outcomes.map(o => `<span>${o.label} <strong>${percent(o.probability)}</strong></span>`).join('')}
+        </div>
+    `).join('');
+
+    return `
+        <table class="scoreline-grid">
+            <thead>
+                <tr><th title="Home goals down, away goals across">H \\ A</th>${grid[0].map((_, away) => `<th>${away}</th>`).join('')}</tr>
+            </thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+        <p class="scoreline-likeliest">Most likely: ${likeliest.map(s => `${s.home}-${s.away} (${percent(s.probability)})`).join(', ')}</p>
+        <div class="scoreline-markets">${marketsHTML}</div>
+    `;
+}
+
 function renderProbabilityRow(label, prob) {
     return `
         <div class="prediction-row">
@@ -285,7 +1292,7 @@ function renderMatchResult(match, isForecastCorrect, isGoalsCorrect, isBothCorre
     return `
         <div class="match-result">
             <div class="result-score">
-                <span class="actual-score">${match.home_score} - ${match.away_score}</span>
+                <span class="actual-score">${match.homeScore} - ${match.awayScore}</span>
             </div>
             <div class="prediction-accuracy">
                 ${showCorrectIncorrect(isForecastCorrect, "Forecast")}
@@ -297,22 +1304,23 @@ function renderMatchResult(match, isForecastCorrect, isGoalsCorrect, isBothCorre
 
 // Prediction Checks
 function checkIsForecastCorrect(match) {
-    if (!match.result_suggestion || match.result_suggestion === '' || !isMatchCompleted(match)) return undefined;
-    if (match.result_suggestion.includes('1') && parseFloat(match.home_score) > parseFloat(match.away_score)) return true;
-    if (match.result_suggestion.includes('X') && parseFloat(match.home_score) === parseFloat(match.away_score)) return true;
-    if (match.result_suggestion.includes('2') && parseFloat(match.home_score) < parseFloat(match.away_score)) return true;
-    return false;
+    return checkSuggestion(match, match.resultSuggestion);
 }
 
 function checkIsGoalsCorrect(match) {
-    if (!match.goals_suggestion || match.goals_suggestion === '' || !isMatchCompleted(match)) return undefined;
-    const totalGoals = parseFloat(match.home_score) + parseFloat(match.away_score);
-    if (match.goals_suggestion.includes('Over 2.5') && totalGoals > 2.5) return true;
-    if (match.goals_suggestion.includes('Over 1.5') && totalGoals > 1.5) return true;
-    if (match.goals_suggestion.includes('Under 3.5') && totalGoals < 3.5) return true;
-    if (match.goals_suggestion.includes('BTTS Yes') && parseFloat(match.home_score) > 0 && parseFloat(match.away_score) > 0) return true;
-    if (match.goals_suggestion.includes('BTTS No') && (parseFloat(match.home_score) === 0 || parseFloat(match.away_score) === 0)) return true;
-    return false;
+    return checkSuggestion(match, match.goalsSuggestion);
+}
+
+function checkSuggestion(match, suggestion) {
+    return Settlement.isCorrect(settleSuggestion(match, suggestion));
+}
+
+function settleSuggestion(match, suggestion) {
+    if (!suggestion) return undefined;
+    // Void and abandoned matches refund every suggestion, which keeps them out of accuracy figures
+    if (MatchModel.isVoid(match)) return Settlement.OUTCOMES.VOID;
+    if (!isMatchCompleted(match)) return undefined;
+    return Settlement.settle(suggestion, MatchModel.getScore(match));
 }
 
 function checkIsBothCorrect(match) {
@@ -329,14 +1337,21 @@ function showCorrectIncorrect(isCorrect, label) {
 }
 
 // Utilities
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 function getCountryCode(country) {
     const codes = { 'Austria': 'AT', 'Belgium': 'BE', 'Brazil': 'BR' };
     return codes[country] || country.substring(0, 2).toUpperCase();
 }
 
 function isMatchCompleted(match) {
-    return match.home_score !== null && match.home_score !== '' &&
-           match.away_score !== null && match.away_score !== '';
+    return MatchModel.isCompleted(match);
+}
+
+function getForecast(match) {
+    return match.predictions[MatchModel.PUBLISHED_MODEL];
 }
 
 // Chart Creation
@@ -426,16 +1441,13 @@ function getAccuracyByForecastType(data) {
     const stats = {};
     types.forEach(type => stats[type] = { correct: 0, total: 0 });
     data.forEach(m => {
-        if (m.result_suggestion !== undefined && m.result_suggestion != '') {
-            if(checkIsForecastCorrect(m))
-                stats[m.result_suggestion].correct++;
-            stats[m.result_suggestion].total++;
-        }
-        if (m.goals_suggestion !== undefined && m.goals_suggestion != '') {
-            if(checkIsGoalsCorrect(m))
-                stats[m.goals_suggestion].correct++;
-            stats[m.goals_suggestion].total++;
-        }
+        [m.resultSuggestion, m.goalsSuggestion].forEach(suggestion => {
+            const isCorrect = checkSuggestion(m, suggestion);
+            if (isCorrect === undefined) return;
+            if (!stats[suggestion]) stats[suggestion] = { correct: 0, total: 0 };
+            if (isCorrect) stats[suggestion].correct++;
+            stats[suggestion].total++;
+        });
     });
     Object.keys(stats).forEach(type => {
         if (stats[type].total === 0) delete stats[type];
@@ -445,88 +1457,350 @@ function getAccuracyByForecastType(data) {
     return { totals: labels.map(country=>stats[country].total), labels, data: acc };
 }
 
-function createTimelineChart() {
-    const canvas = document.getElementById('timelineChart');
+function createCalibrationChart() {
+    const canvas = document.getElementById('calibrationChart');
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
-    charts.timelineChart?.destroy();
-    const completed = footballData.filter(isMatchCompleted);
-    const weeks = getUniqueValuesFromArray(completed, 'week').sort((a, b) => a - b);
-    const accuracyData = weeks.map(week => {
-        const weekMatches = completed.filter(m => m.week === week);
-        const correct = weekMatches.filter(m => m.result === m.prediction).length;
-        return weekMatches.length ? Math.round((correct / weekMatches.length) * 100) : 0;
-    });
-    charts.timelineChart = new Chart(ctx, {
-        type: 'line',
+    charts.calibrationChart?.destroy();
+    const country = getValue('calibrationCountryFilter');
+    const season = getValue('calibrationSeasonFilter');
+    const matches = footballData.filter(m => isMatchCompleted(m) &&
+        (!country || m.country === country) &&
+        (!season || m.season === season));
+    const buckets = getCalibrationBuckets(matches);
+    charts.calibrationChart = new Chart(ctx, {
+        type: 'bar',
         data: {
-            labels: weeks.map(w => `Week ${w}`),
+            labels: buckets.map(b => `${b.from}-${b.to}%`),
             datasets: [{
-                label: 'Forecast Accuracy %',
-                data: accuracyData,
+                type: 'line',
+                label: 'Observed %',
+                data: buckets.map(b => b.count ? Math.round(b.observed * 100) : null),
                 borderColor: chartColors[0],
-                backgroundColor: chartColors[0] + '20',
+                backgroundColor: chartColors[0],
                 borderWidth: 2,
-                fill: true,
-                tension: 0.3
+                spanGaps: true,
+                yAxisID: 'y'
+            }, {
+                type: 'line',
+                label: 'Forecast %',
+                data: buckets.map(b => b.count ? Math.round(b.predicted * 100) : (b.from + b.to) / 2),
+                borderColor: chartColors[4],
+                borderDash: [5, 5],
+                borderWidth: 1,
+                pointRadius: 0,
+                yAxisID: 'y'
+            }, {
+                label: 'Forecasts',
+                data: buckets.map(b => b.count),
+                backgroundColor: chartColors[3],
+                borderColor: chartColors[3],
+                borderWidth: 1,
+                yAxisID: 'count'
             }]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
-            scales: { y: { beginAtZero: true, max: 100, ticks: { callback: v => v + '%' } } }
+            scales: {
+                x: { title: { display: true, text: 'Forecast Probability' } },
+                y: { beginAtZero: true, max: 100, ticks: { callback: v => v + '%' } },
+                count: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } }
+            },
+            plugins: {
+                legend: { position: 'bottom' },
+                tooltip: {
+                    callbacks: {
+                        footer: items => `${buckets[items[0].dataIndex].count} forecasts in bucket`
+                    }
+                }
+            }
         }
     });
 }
 
+// Buckets every home/draw/away probability of completed matches into deciles
+function getCalibrationBuckets(matches) {
+    const buckets = Array.from({ length: 10 }, (_, i) => ({ from: i * 10, to: (i + 1) * 10, count: 0, hits: 0, probSum: 0 }));
+    matches.forEach(m => {
+        const result = Settlement.getResult(MatchModel.getScore(m));
+        const forecast = getForecast(m);
+        [['1', forecast.home], ['X', forecast.draw], ['2', forecast.away]].forEach(([outcome, prob]) => {
+            if (prob === null) return;
+            const bucket = buckets[Math.min(Math.floor(prob * 10), 9)];
+            bucket.count++;
+            bucket.probSum += prob;
+            if (outcome === result) bucket.hits++;
+        });
+    });
+    return buckets.map(b => ({
+        ...b,
+        predicted: b.count ? b.probSum / b.count : 0,
+        observed: b.count ? b.hits / b.count : 0
+    }));
+}
+
+function createMetricsByCountryChart() {
+    const byCountry = Metrics.summariseBy(getForecastRecords(footballData), f => f.match.country);
+    createScoringRulesChart('metricsByCountryChart', 'bar', [...byCountry.keys()], [...byCountry.values()]);
+}
+
+function createMetricsByWeekChart() {
+    const byWeek = Metrics.summariseBy(getForecastRecords(footballData), f => getWeekStart(f.match));
+    const weeks = [...byWeek.keys()].sort();
+    createScoringRulesChart('metricsByWeekChart', 'line', weeks.map(w => `w/c ${w}`), weeks.map(w => byWeek.get(w)));
+}
+
+function createScoringRulesChart(canvasId, type, labels, summaries) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    charts[canvasId]?.destroy();
+    const rules = [['brier', 'Brier Score'], ['logLoss', 'Log Loss'], ['rps', 'RPS']];
+    charts[canvasId] = new Chart(ctx, {
+        type,
+        data: {
+            labels,
+            datasets: rules.map(([key, label], i) => ({
+                label,
+                data: summaries.map(s => s[key] === null ? null : +s[key].toFixed(3)),
+                backgroundColor: chartColors[i],
+                borderColor: chartColors[i],
+                borderWidth: type === 'line' ? 2 : 1,
+                tension: 0.3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: { y: { beginAtZero: true } },
+            plugins: {
+                legend: { position: 'bottom' },
+                tooltip: {
+                    callbacks: {
+                        footer: items => `${summaries[items[0].dataIndex].count} completed matches`
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Trends: rolling accuracy and Brier score by calendar date with one line per season,
+// so a season drifting away from the previous one shows up on the same axis
+function createTrendCharts() {
+    const windowDays = Number(getValue('trendWindow')) || 30;
+    const country = getValue('trendCountry');
+    const market = getValue('trendMarket');
+    const checks = { result: [checkIsForecastCorrect], goals: [checkIsGoalsCorrect] }[market] || [checkIsForecastCorrect, checkIsGoalsCorrect];
+    const completed = footballData.filter(m => isMatchCompleted(m) && m.date && (!country || m.country === country));
+    const seasons = getUniqueValuesFromArray(completed, 'season').sort();
+    const dates = [...new Set(completed.map(m => MatchModel.getDateKey(m)))].sort();
+
+    const accuracy = seasons.map(season => getRollingTrend(completed.filter(m => m.season === season), windowDays, m =>
+        checks.map(check => check(m)).filter(v => v !== undefined).map(v => v ? 100 : 0)
+    ));
+    const brier = seasons.map(season => getRollingTrend(completed.filter(m => m.season === season), windowDays, m => {
+        const forecast = getForecast(m);
+        const score = Metrics.score([forecast.home, forecast.draw, forecast.away], Settlement.getResult(MatchModel.getScore(m)));
+        return score ? [score.brier] : [];
+    }));
+
+    createTrendChart('timelineChart', dates, seasons, accuracy, `Accuracy % (${windowDays}-day window)`, { min: 0, max: 100, ticks: { callback: v => v + '%' } });
+    createTrendChart('trendBrierChart', dates, seasons, brier, `Brier score (${windowDays}-day window, lower is better)`, { beginAtZero: true });
+    createWeeklyChart(completed, seasons);
+}
+
+/**
+ * Rolling mean over the matches of the trailing window ending on each match date
+ * @param {Array<Match>} matches - Completed matches of one season
+ * @param {number} windowDays - Window length in days, including the end date
+ * @param {Function} valueFn - Values a match contributes (e.g. 100/0 per settled suggestion)
+ * @returns {Object<string, number>} Mean keyed by date (YYYY-MM-DD); dates without values are left out
+ */
+function getRollingTrend(matches, windowDays, valueFn) {
+    const sorted = [...matches].sort(compareDates);
+    const values = sorted.map(valueFn);
+    const trend = {};
+    let start = 0;
+    sorted.forEach((match, i) => {
+        if (sorted[i + 1] && MatchModel.getDateKey(sorted[i + 1]) === MatchModel.getDateKey(match)) return;
+        const from = new Date(match.date);
+        from.setDate(from.getDate() - windowDays + 1);
+        while (sorted[start].date < from) start++;
+        const window = values.slice(start, i + 1).flat();
+        if (window.length) trend[MatchModel.getDateKey(match)] = window.reduce((sum, v) => sum + v, 0) / window.length;
+    });
+    return trend;
+}
+
+function createTrendChart(canvasId, dates, seasons, trends, label, yScale) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    charts[canvasId]?.destroy();
+    charts[canvasId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: dates,
+            datasets: seasons.map((season, i) => ({
+                label: season,
+                data: dates.map(date => trends[i][date] ?? null),
+                borderColor: chartColors[i % chartColors.length],
+                backgroundColor: chartColors[i % chartColors.length] + '20',
+                borderWidth: 2,
+                pointRadius: 0,
+                spanGaps: true,
+                tension: 0.3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: { y: { ...yScale, title: { display: true, text: label } } },
+            plugins: {
+                legend: { position: 'bottom' },
+                tooltip: { callbacks: { label: c => `${c.dataset.label}: ${c.raw.toFixed(canvasId === 'timelineChart' ? 1 : 3)}` } }
+            }
+        }
+    });
+}
+
+// Forecast Bias: how often each outcome is favoured against how often it happens, and
+// whether expected goals run systematically above or below the real totals, per league
+const GOALS_BIAS = { minMatches: 10, pValue: 0.05 };
+
 function createProbabilityChart() {
+    const stats = getBiasByLeague(footballData.filter(isMatchCompleted));
+    renderBiasTable(stats);
     const canvas = document.getElementById('probabilityChart');
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
     charts.probabilityChart?.destroy();
-    const predictions = footballData.map(m => {
-        const probs = [m.home_prob, m.draw_prob, m.away_prob];
-        const maxIdx = probs.indexOf(Math.max(...probs));
-        return ['H', 'D', 'A'][maxIdx];
-    });
-    const counts = { H: 0, D: 0, A: 0 };
-    predictions.forEach(p => counts[p]++);
+    const outcomes = [['1', 'Home'], ['X', 'Draw'], ['2', 'Away']];
+    const share = (counts, total, outcome) => total ? Math.round(counts[outcome] / total * 100) : 0;
     charts.probabilityChart = new Chart(ctx, {
-        type: 'pie',
+        type: 'bar',
         data: {
-            labels: ['Home Win Forecast', 'Draw Forecast', 'Away Win Forecast'],
-            datasets: [{
-                data: [counts.H, counts.D, counts.A],
-                backgroundColor: [chartColors[0], chartColors[1], chartColors[2]],
-                borderColor: '#fff',
-                borderWidth: 2
-            }]
+            labels: stats.map(s => s.league),
+            datasets: [
+                ...outcomes.map(([outcome, label], i) => ({
+                    label: `Favoured ${label}`,
+                    stack: 'favoured',
+                    data: stats.map(s => share(s.favoured, s.count, outcome)),
+                    backgroundColor: chartColors[i]
+                })),
+                ...outcomes.map(([outcome, label], i) => ({
+                    label: `Actual ${label}`,
+                    stack: 'actual',
+                    data: stats.map(s => share(s.actual, s.count, outcome)),
+                    backgroundColor: chartColors[i] + '80',
+                    borderColor: chartColors[i],
+                    borderWidth: 1
+                }))
+            ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
-            plugins: { legend: { position: 'bottom' } }
+            indexAxis: 'y',
+            scales: {
+                x: { stacked: true, max: 100, ticks: { callback: v => v + '%' } },
+                y: { stacked: true }
+            },
+            plugins: {
+                legend: { position: 'bottom' },
+                tooltip: { callbacks: { label: c => `${c.dataset.label}: ${c.raw}% of ${stats[c.dataIndex].count}` } }
+            }
         }
     });
 }
 
+/**
+ * Favoured and actual outcome counts and goals bias per league
+ * @param {Array<Match>} matches - Completed matches
+ * @returns {Array<Object>} {league, count, favoured, actual, predictedGoals, actualGoals, goals}, by league name
+ */
+function getBiasByLeague(matches) {
+    const groups = {};
+    matches.forEach(m => (groups[m.league] = groups[m.league] || []).push(m));
+    return Object.entries(groups).sort(([a], [b]) => a.localeCompare(b)).map(([league, leagueMatches]) => {
+        const favoured = { '1': 0, 'X': 0, '2': 0 };
+        const actual = { '1': 0, 'X': 0, '2': 0 };
+        const goalErrors = [];
+        let predictedGoals = 0;
+        let actualGoals = 0;
+        leagueMatches.forEach(m => {
+            const forecast = getForecast(m);
+            const probs = [forecast.home, forecast.draw, forecast.away];
+            favoured[Metrics.OUTCOMES[probs.indexOf(Math.max(...probs))]]++;
+            actual[Settlement.getResult(MatchModel.getScore(m))]++;
+            if (forecast.homeGoals === null || forecast.awayGoals === null) return;
+            predictedGoals += forecast.homeGoals + forecast.awayGoals;
+            actualGoals += m.homeScore + m.awayScore;
+            goalErrors.push(m.homeScore + m.awayScore - forecast.homeGoals - forecast.awayGoals);
+        });
+        return {
+            league,
+            count: leagueMatches.length,
+            favoured,
+            actual,
+            predictedGoals: goalErrors.length ? predictedGoals / goalErrors.length : null,
+            actualGoals: goalErrors.length ? actualGoals / goalErrors.length : null,
+            goals: Metrics.errorSummary(goalErrors)
+        };
+    });
+}
+
+function renderBiasTable(stats) {
+    const table = document.getElementById('biasTable');
+    if (!table) return;
+    table.innerHTML = stats.filter(s => s.goals).map(s => {
+        const { bias, count, pValue } = s.goals;
+        const systematic = count >= GOALS_BIAS.minMatches && pValue !== null && pValue < GOALS_BIAS.pValue;
+        const flag = !systematic ? ''
+            : bias < 0 ? '<span class="accuracy-incorrect">Over-predicts</span>'
+            : '<span class="accuracy-incorrect">Under-predicts</span>';
+        return `
+            <tr>
+                <td>${escapeHtml(s.league)}</td>
+                <td>${count}</td>
+                <td>${s.predictedGoals.toFixed(2)}</td>
+                <td>${s.actualGoals.toFixed(2)}</td>
+                <td title="${pValue === null ? '' : `p = ${pValue.toFixed(3)}`}">${bias > 0 ? '+' : ''}${bias.toFixed(2)}</td>
+                <td>${flag}</td>
+            </tr>
+        `;
+    }).join('') || '<tr><td colspan="6">No completed matches</td></tr>';
+}
+
+// Goal Residuals: forecast totals are mostly whole numbers, so identical (forecast, actual)
+// pairs are drawn as one bubble sized by how many matches it holds
 function createGoalsChart() {
+    const completed = footballData.filter(m => isMatchCompleted(m) && getForecast(m).homeGoals !== null && getForecast(m).awayGoals !== null);
+    createResidualChart(completed);
+    renderResidualTable(completed);
     const canvas = document.getElementById('goalsChart');
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
     charts.goalsChart?.destroy();
-    const completed = footballData.filter(isMatchCompleted);
-    const data = completed.map(m => ({
-        x: parseFloat(m.home_goals_forecast) + parseFloat(m.away_goals_forecast),
-        y: parseFloat(m.home_score) + parseFloat(m.away_score)
-    }));
+    const bubbles = {};
+    completed.forEach(m => {
+        const x = Math.round((getForecast(m).homeGoals + getForecast(m).awayGoals) * 10) / 10;
+        const y = m.homeScore + m.awayScore;
+        (bubbles[`${x}|${y}`] = bubbles[`${x}|${y}`] || { x, y, matches: [] }).matches.push(m);
+    });
+    // Matches stay out of the points so chart exports hold only the plotted values
+    const groups = Object.values(bubbles);
+    const points = groups.map(b => ({ x: b.x, y: b.y, r: 3 + 2 * Math.sqrt(b.matches.length), count: b.matches.length }));
     charts.goalsChart = new Chart(ctx, {
-        type: 'scatter',
+        type: 'bubble',
         data: {
             datasets: [{
                 label: 'Forecasted vs Actual Goals',
-                data,
-                backgroundColor: chartColors[0],
+                data: points,
+                backgroundColor: chartColors[0] + '80',
                 borderColor: chartColors[0],
                 borderWidth: 1
             }]
@@ -534,38 +1808,117 @@ function createGoalsChart() {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: (e, elements) => {
+                if (elements.length) renderGoalsMatches(groups[elements[0].index]);
+            },
             scales: {
                 x: { title: { display: true, text: 'Forecasted Total Goals' } },
-                y: { title: { display: true, text: 'Actual Total Goals' } }
+                y: { beginAtZero: true, title: { display: true, text: 'Actual Total Goals' } }
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: { callbacks: { label: c => `Forecast ${c.raw.x}, actual ${c.raw.y}: ${c.raw.count} match${c.raw.count === 1 ? '' : 'es'}` } }
             }
         }
     });
 }
 
-function createWeeklyChart() {
+function renderGoalsMatches({ x, y, matches }) {
+    setText('goalsMatchesTitle', `Forecast ${x}, Actual ${y} (${matches.length})`);
+    document.getElementById('goalsMatchesHint')?.classList.add('hidden');
+    const table = document.getElementById('goalsMatches');
+    if (!table) return;
+    table.innerHTML = [...matches].sort((a, b) => compareDates(b, a)).map(m => `
+        <tr>
+            <td>${MatchModel.getDateKey(m)}</td>
+            <td>${escapeHtml(m.league)}</td>
+            <td><span class="team-link" data-team="${escapeHtml(m.home)}">${m.home}</span> - <span class="team-link" data-team="${escapeHtml(m.away)}">${m.away}</span></td>
+            <td>${formatGoals(getForecast(m).homeGoals)} - ${formatGoals(getForecast(m).awayGoals)}</td>
+            <td><strong>${m.homeScore} - ${m.awayScore}</strong></td>
+        </tr>
+    `).join('');
+}
+
+// Histogram of actual minus forecast goals, home and away side by side, in whole-goal bins
+function createResidualChart(completed) {
+    const canvas = document.getElementById('residualChart');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    charts.residualChart?.destroy();
+    const sides = [['Home', m => m.homeScore - getForecast(m).homeGoals], ['Away', m => m.awayScore - getForecast(m).awayGoals]];
+    const residuals = sides.map(([, residualFn]) => completed.map(m => Math.round(residualFn(m))));
+    const all = residuals.flat();
+    const bins = all.length ? Array.from({ length: Math.max(...all) - Math.min(...all) + 1 }, (_, i) => Math.min(...all) + i) : [];
+    charts.residualChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: bins.map(bin => bin > 0 ? `+${bin}` : `${bin}`),
+            datasets: sides.map(([label], i) => ({
+                label,
+                data: bins.map(bin => residuals[i].filter(r => r === bin).length),
+                backgroundColor: chartColors[i],
+                borderColor: chartColors[i],
+                borderWidth: 1
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { title: { display: true, text: 'Actual - Forecast Goals' } },
+                y: { beginAtZero: true, title: { display: true, text: 'Matches' } }
+            },
+            plugins: { legend: { position: 'bottom' } }
+        }
+    });
+}
+
+function renderResidualTable(completed) {
+    const table = document.getElementById('residualTable');
+    if (!table) return;
+    const groups = {};
+    completed.forEach(m => (groups[m.league] = groups[m.league] || []).push(m));
+    const signed = value => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+    table.innerHTML = Object.entries(groups).sort(([a], [b]) => a.localeCompare(b)).map(([league, matches]) => {
+        const home = Metrics.errorSummary(matches.map(m => m.homeScore - getForecast(m).homeGoals));
+        const away = Metrics.errorSummary(matches.map(m => m.awayScore - getForecast(m).awayGoals));
+        return `
+            <tr>
+                <td>${escapeHtml(league)}</td>
+                <td>${matches.length}</td>
+                <td>${home.mae.toFixed(2)}</td>
+                <td>${signed(home.bias)}</td>
+                <td>${away.mae.toFixed(2)}</td>
+                <td>${signed(away.bias)}</td>
+            </tr>
+        `;
+    }).join('') || '<tr><td colspan="6">No completed matches</td></tr>';
+}
+
+// Matches settled per calendar week (Monday start), stacked by season
+function createWeeklyChart(completed, seasons) {
     const canvas = document.getElementById('weeklyChart');
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
     charts.weeklyChart?.destroy();
-    const completed = footballData.filter(isMatchCompleted);
-    const weeks = getUniqueValuesFromArray(completed, 'week').sort((a, b) => a - b);
-    const weeklyData = weeks.map(week => completed.filter(m => m.week === week).length);
+    const weeks = [...new Set(completed.map(getWeekStart))].sort();
     charts.weeklyChart = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: weeks.map(w => `Week ${w}`),
-            datasets: [{
-                label: 'Statistical Analyses Completed',
-                data: weeklyData,
-                backgroundColor: chartColors[1],
-                borderColor: chartColors[1],
+            labels: weeks.map(w => `w/c ${w}`),
+            datasets: seasons.map((season, i) => ({
+                label: season,
+                data: weeks.map(week => completed.filter(m => m.season === season && getWeekStart(m) === week).length),
+                backgroundColor: chartColors[i % chartColors.length],
+                borderColor: chartColors[i % chartColors.length],
                 borderWidth: 1
-            }]
+            }))
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
-            scales: { y: { beginAtZero: true, ticks: { stepSize: 1 } } }
+            scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { stepSize: 1 } } },
+            plugins: { legend: { position: 'bottom' } }
         }
     });
 }
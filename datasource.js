@@ -0,0 +1,188 @@
+/**
+ * Data Source Module - Loads match records from configurable endpoints
+ *
+ * Endpoints are tried in order. Every record is checked against a JSON-schema style
+ * description and rejected rows are reported rather than silently dropped. The last
+ * good live response is cached in IndexedDB, so an outage falls back to the cache
+ * before the bundled snapshot.
+ */
+
+const DataSource = {
+    SOURCES: {
+        LIVE: 'live',
+        CACHED: 'cached',
+        BUNDLED: 'bundled'
+    },
+
+    DB_NAME: 'tnk-football',
+    STORE_NAME: 'responses',
+
+    /**
+     * Load records, falling back from live endpoints to the cache to the bundled data
+     * @param {Object} config - {endpoints, schema, cacheKey, fallback, timeout}
+     * @returns {Promise<Object>} {records, rejected, source, fetchedAt, endpoint, errors}
+     */
+    async load(config) {
+        const errors = [];
+
+        for (const endpoint of config.endpoints) {
+            try {
+                const raw = await this.fetchJson(endpoint, config.timeout);
+                const result = this.validateAll(Array.isArray(raw) ? raw : [raw], config.schema);
+                if (!result.records.length) throw new Error(`no valid records (${result.rejected.length} rejected)`);
+                const fetchedAt = Date.now();
+                await this.writeCache(config.cacheKey, { records: result.records, fetchedAt, endpoint }).catch(err => {
+                    console.warn('Could not cache response:', err.message);
+                });
+                return { ...result, source: this.SOURCES.LIVE, fetchedAt, endpoint, errors };
+            } catch (err) {
+                errors.push(`${endpoint}: ${err.message}`);
+            }
+        }
+
+        try {
+            const cached = await this.readCache(config.cacheKey);
+            if (cached) {
+                const result = this.validateAll(cached.records, config.schema);
+                if (result.records.length) {
+                    return { ...result, source: this.SOURCES.CACHED, fetchedAt: cached.fetchedAt, endpoint: cached.endpoint, errors };
+                }
+            }
+        } catch (err) {
+            errors.push(`cache: ${err.message}`);
+        }
+
+        const result = this.validateAll(config.fallback || [], config.schema);
+        return { ...result, source: this.SOURCES.BUNDLED, fetchedAt: null, endpoint: null, errors };
+    },
+
+    /**
+     * Fetch and parse JSON, aborting after a timeout
+     * @param {string} url - Endpoint URL
+     * @param {number} timeout - Milliseconds before giving up
+     * @returns {Promise<*>} Parsed body
+     */
+    async fetchJson(url, timeout = 10000) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * Split records into valid ones and rejected rows
+     * @param {Array} records - Raw records
+     * @param {Object} schema - Record schema
+     * @returns {Object} {records, rejected: [{index, record, errors}]}
+     */
+    validateAll(records, schema) {
+        const valid = [];
+        const rejected = [];
+        records.forEach((record, index) => {
+            const errors = schema ? this.validate(record, schema) : [];
+            if (errors.length) rejected.push({ index, record, errors });
+            else valid.push(record);
+        });
+        return { records: valid, rejected };
+    },
+
+    /**
+     * Validate a value against a JSON-schema style description.
+     * Supports type, required, properties, enum, pattern, minLength, minimum and maximum.
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema
+     * @param {string} path - Path used in error messages
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(value, schema, path = 'record') {
+        const errors = [];
+        const types = [].concat(schema.type || []);
+        if (types.length && !types.some(type => this.hasType(value, type))) {
+            return [`${path} should be ${types.join(' or ')}`];
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} should not be empty`);
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} "${value}" does not match ${schema.pattern}`);
+        }
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        if (schema.minimum !== undefined && number < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && number > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+        if (this.hasType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(`${path}.${key} is required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+            });
+        }
+        return errors;
+    },
+
+    hasType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'null': return value === null;
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    },
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async writeCache(key, entry) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).put(entry, key);
+            tx.oncomplete = () => { db.close(); resolve(); };
+            tx.onerror = () => { db.close(); reject(tx.error); };
+        });
+    },
+
+    async readCache(key) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME).get(key);
+            request.onsuccess = () => { db.close(); resolve(request.result || null); };
+            request.onerror = () => { db.close(); reject(request.error); };
+        });
+    },
+
+    /**
+     * Human readable age of a timestamp
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} e.g. "just now", "5 minutes ago", "2 days ago"
+     */
+    formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        const [value, unit] = minutes < 60 ? [minutes, 'minute']
+            : minutes < 1440 ? [Math.floor(minutes / 60), 'hour']
+            : [Math.floor(minutes / 1440), 'day'];
+        return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataSource;
+} else {
+    window.DataSource = DataSource;
+}
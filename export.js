@@ -0,0 +1,328 @@
+/**
+ * Export Module - Download matches and chart data as CSV, JSON, XLSX, PNG or SVG
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * Records are plain objects; nested objects are flattened to dotted column names
+ * ("predictions.xgboost.home") for the tabular formats and kept nested in JSON.
+ * The XLSX writer builds a minimal Office Open XML workbook inside an uncompressed
+ * ZIP, so no library or network access is needed.
+ */
+
+const Exporter = {
+    FORMATS: {
+        csv: { label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+        json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+        xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+    },
+
+    CHART_FORMATS: {
+        png: 'PNG',
+        svg: 'SVG',
+        csv: 'Table (CSV)'
+    },
+
+    /**
+     * Download records in a file format
+     * @param {Array<Object>} records - Records to export
+     * @param {string} format - Key of FORMATS
+     * @param {string} basename - File name without date or extension
+     * @param {string} sheetName - Worksheet name for XLSX
+     */
+    exportRecords(records, format, basename, sheetName = 'Matches') {
+        const type = this.FORMATS[format];
+        if (!type) throw new Error(`Unknown export format "${format}"`);
+        let content;
+        if (format === 'json') {
+            content = this.toJson(records);
+        } else {
+            const rows = records.map(record => this.flatten(record));
+            const columns = this.getColumns(rows);
+            content = format === 'csv' ? this.toCsv(rows, columns) : this.toXlsx([{ name: sheetName, columns, rows }]);
+        }
+        this.download(new Blob([content], { type: type.mime }), this.getFileName(basename, type.extension));
+    },
+
+    /**
+     * Download a Chart.js chart as an image or as the table behind it
+     * @param {Object} chart - Chart.js instance
+     * @param {string} format - Key of CHART_FORMATS
+     * @param {string} basename - File name without date or extension
+     */
+    exportChart(chart, format, basename) {
+        if (!chart) return;
+        if (format === 'png') {
+            this.downloadUrl(chart.toBase64Image('image/png'), this.getFileName(basename, 'png'));
+        } else if (format === 'svg') {
+            this.download(new Blob([this.chartToSvg(chart)], { type: 'image/svg+xml' }), this.getFileName(basename, 'svg'));
+        } else {
+            const rows = this.chartToRows(chart);
+            this.download(new Blob([this.toCsv(rows, this.getColumns(rows))], { type: this.FORMATS.csv.mime }), this.getFileName(basename, 'csv'));
+        }
+    },
+
+    /**
+     * Flatten nested objects into dotted keys; arrays become "; " separated text
+     * @param {Object} record - Record
+     * @param {string} prefix - Key prefix used while recursing
+     * @returns {Object} Flat record
+     */
+    flatten(record, prefix = '') {
+        const flat = {};
+        Object.entries(record).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (Array.isArray(value)) {
+                flat[name] = value.map(v => v !== null && typeof v === 'object' ? Object.values(v).join(' ') : v).join('; ');
+            } else if (value instanceof Date) {
+                flat[name] = value.toISOString();
+            } else if (value !== null && typeof value === 'object') {
+                Object.assign(flat, this.flatten(value, name));
+            } else {
+                flat[name] = value;
+            }
+        });
+        return flat;
+    },
+
+    /**
+     * Every column appearing in the rows, in first-seen order
+     * @param {Array<Object>} rows - Flat rows
+     * @returns {Array<string>} Column names
+     */
+    getColumns(rows) {
+        const columns = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+        return [...columns];
+    },
+
+    /**
+     * Serialise rows as RFC 4180 CSV, with a BOM so Excel reads UTF-8
+     * @param {Array<Object>} rows - Flat rows
+     * @param {Array<string>} columns - Column order
+     * @returns {string} CSV text
+     */
+    toCsv(rows, columns) {
+        const cell = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns.map(cell).join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))];
+        return '\uFEFF' + lines.join('\r\n');
+    },
+
+    toJson(records) {
+        return JSON.stringify(records, null, 2);
+    },
+
+    /**
+     * Build an XLSX workbook
+     * @param {Array<Object>} sheets - [{name, columns, rows}]
+     * @returns {Uint8Array} File contents
+     */
+    toXlsx(sheets) {
+        const ns = 'http://schemas.openxmlformats.org';
+        const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const names = sheets.map((sheet, i) => (sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                text: `${header}<Types xmlns="${ns}/package/2006/content-types">` +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                text: `${header}<Relationships xmlns="${ns}/package/2006/relationships">` +
+                    `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                text: `${header}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>` +
+                    names.map((name, i) => `<sheet name="${this.escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                text: `${header}<Relationships xmlns="${ns}/package/2006/relationships">` +
+                    sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    '</Relationships>'
+            },
+            ...sheets.map((sheet, i) => ({
+                name: `xl/worksheets/sheet${i + 1}.xml`,
+                text: `${header}<worksheet xmlns="${ns}/spreadsheetml/2006/main"><sheetData>` +
+                    [sheet.columns, ...sheet.rows.map(row => sheet.columns.map(column => row[column]))]
+                        .map((values, r) => `<row r="${r + 1}">${values.map((value, c) => this.getXlsxCell(value, `${this.getColumnName(c)}${r + 1}`)).join('')}</row>`)
+                        .join('') +
+                    '</sheetData></worksheet>'
+            }))
+        ];
+
+        const encoder = new TextEncoder();
+        return this.zip(files.map(file => ({ name: file.name, data: encoder.encode(file.text) })));
+    },
+
+    getXlsxCell(value, ref) {
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(String(value))}</t></is></c>`;
+    },
+
+    // 0 -> A, 25 -> Z, 26 -> AA
+    getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    },
+
+    escapeXml(text) {
+        return text
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    },
+
+    /**
+     * Pack files into a ZIP archive without compression (method 0, "stored")
+     * @param {Array<Object>} files - [{name, data: Uint8Array}]
+     * @returns {Uint8Array} Archive
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, 0x21, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, file.data.length, true);
+            header.setUint32(22, file.data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            local.push(new Uint8Array(header.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, 0, true);
+            entry.setUint16(14, 0x21, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...local, ...central, new Uint8Array(end.buffer)];
+        const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+        return archive;
+    },
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * The data behind a chart as rows. Category charts give one row per label and one
+     * column per dataset; point charts (scatter, bubble) give one row per point.
+     * @param {Object} chart - Chart.js instance
+     * @returns {Array<Object>} Flat rows
+     */
+    chartToRows(chart) {
+        const datasets = chart.data.datasets || [];
+        const isPointData = datasets.some(ds => ds.data.some(v => v !== null && typeof v === 'object'));
+        if (isPointData) {
+            return datasets.flatMap(ds => ds.data.map(point => ({ dataset: ds.label || '', ...this.flatten(point) })));
+        }
+        return (chart.data.labels || []).map((label, i) => {
+            const row = { label: Array.isArray(label) ? label.join(' ') : label };
+            datasets.forEach((ds, d) => { row[ds.label || `Series ${d + 1}`] = ds.data[i]; });
+            return row;
+        });
+    },
+
+    /**
+     * SVG of a chart. Chart.js draws to a canvas, so the SVG embeds the rendered image at
+     * full resolution; it scales in documents but its shapes are not editable vectors.
+     * @param {Object} chart - Chart.js instance
+     * @returns {string} SVG markup
+     */
+    chartToSvg(chart) {
+        const width = chart.width;
+        const height = chart.height;
+        return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<image width="${width}" height="${height}" xlink:href="${chart.toBase64Image('image/png')}"/></svg>`;
+    },
+
+    getFileName(basename, extension) {
+        const d = new Date();
+        const stamp = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        return `${basename}-${stamp}.${extension}`;
+    },
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        this.downloadUrl(url, fileName);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    downloadUrl(url, fileName) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exporter;
+} else {
+    window.Exporter = Exporter;
+}
@@ -27,6 +27,8 @@ class AppState {
         this.filteredMatches = [];
         this.currentTab = 'upcoming';
         this.chartsManager = null;
+        this.openMatchId = null;
+        this.headToHead = new Map();
     }
 }
 
@@ -53,28 +55,13 @@ const Utils = {
         };
     },
 
-    /**
-     * Parse date string to Date object
-     * @param {string} matchId - Date time in string
-     * @returns {Date} Parsed date
-     */
-    parseDate(matchId) {
-        if(window.location.search.includes('odds')){
-            let date = matchId.split('-')[1].split("/");
-            return new Date(date[2],date[1]-1,date[0]);
-        } else {
-            let dateSplit = matchId.split('-')
-            return new Date(dateSplit[dateSplit.length-5],dateSplit[dateSplit.length-4]-1,dateSplit[dateSplit.length-3])
-        }
-    },
-
     /**
      * Format date for display
-     * @param {string} matchId - Date containing string
+     * @param {Date|null} date - Match date
      * @returns {string} Formatted date
      */
-    formatDate(matchId) {
-        const date = this.parseDate(matchId);
+    formatDate(date) {
+        if (!date) return '';
         return date.toLocaleDateString('en-GB', {
             weekday: 'short',
             day: 'numeric',
@@ -83,6 +70,15 @@ const Utils = {
         });
     },
 
+    /**
+     * Escape text for use in HTML markup and attributes
+     * @param {*} value - Text, e.g. a team name or an uploaded file name
+     * @returns {string} Escaped text
+     */
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    },
+
     /**
      * Show/hide loading state
      * @param {boolean} show - Whether to show loading
@@ -171,29 +167,28 @@ const DOMUtils = {
      * @param {Object} match - Match data
      * @returns {string} HTML string
      */
-    createMatchCard(match) {
-        const matchInfo = match['match-info']
-        const matchPredictions = match['model-predictions']
-        const dateStr = Utils.formatDate(matchInfo.MatchId);
-        const resultHTML = matchInfo.FTHG !== null ? 
-            `<div class="match-card__result">Final Score: ${matchInfo.FTHG} - ${matchInfo.FTAG}</div>` : '';
+    createMatchCard(match, headToHead = new Map()) {
+        const dateStr = Utils.formatDate(match.date);
+        const resultHTML = MatchModel.isCompleted(match) ? 
+            `<div class="match-card__result">Final Score: ${match.homeScore} - ${match.awayScore}</div>` :
+            MatchModel.isVoid(match) ? `<div class="match-card__result">${MatchModel.getStatusLabel(match)}</div>` : '';
         
-        const predictionsHTML = Object.entries(matchPredictions)
+        const predictionsHTML = Object.entries(match.predictions)
             .sort(([model,prediction],[model2,prediction2])=>this.getModelPriority(model,['rain','xgb','net'])-this.getModelPriority(model2,['rain','xgb','net']))
             .map(([model, pred]) => this.createPredictionsHTML(model, pred))
             .join('');
         
         return `
-            <div class="match-card" data-id="${matchInfo['MatchId']}">
+            <div class="match-card" data-id="${match.id}">
                 <div class="match-card__header">
-                    <div class="match-card__division">${matchInfo.Div}</div>
+                    <div class="match-card__division">${match.division}</div>
                     <div class="match-card__date">${dateStr}</div>
                 </div>
                 <div class="match-card__teams">
                     <div class="match-card__matchup">
-                        <span>${matchInfo.Home}</span>
+                        <span>${match.home}</span>
                         <span class="match-card__vs">vs</span>
-                        <span>${matchInfo.Away}</span>
+                        <span>${match.away}</span>
                     </div>
                     ${resultHTML}
                 </div>
@@ -203,8 +198,368 @@ const DOMUtils = {
                         ${predictionsHTML}
                     </div>
                 </div>
+                ${this.createScorelineHTML(match)}
+                ${this.createHeadToHeadHTML(match, headToHead)}
+                ${this.createOddsHTML(match)}
+                ${match.date < new Date().setHours(0, 0, 0, 0) && MatchModel.isPending(match) ? this.createReconcileHTML(match) : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the controls for entering the result of a past match the API has not resolved
+     * @param {Object} match - Match data
+     * @returns {string} HTML string
+     */
+    createReconcileHTML(match) {
+        return `
+            <div class="match-card__reconcile reconcile">
+                <div class="match-card__predictions-title">Reconcile</div>
+                <div class="reconcile__row">
+                    <input type="number" min="0" class="form-control reconcile__home" aria-label="${match.home} goals">
+                    <span>-</span>
+                    <input type="number" min="0" class="form-control reconcile__away" aria-label="${match.away} goals">
+                    <button class="btn btn--sm btn--primary reconcile__save-score">Save Score</button>
+                </div>
+                <div class="reconcile__row">
+                    <select class="form-control reconcile__status" aria-label="Status">
+                        ${Object.entries(ResultOverrides.STATUSES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <button class="btn btn--sm btn--outline reconcile__save-status">Mark</button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create the collapsed scoreline matrix section; the grid is filled in by renderScoreline when opened
+     * @param {Object} match - Match data
+     * @returns {string} HTML string, empty when no model forecasts goals
+     */
+    createScorelineHTML(match) {
+        const models = Object.keys(match.predictions)
+            .filter(model => match.predictions[model].homeGoals !== null && match.predictions[model].awayGoals !== null);
+        if (!models.length) return '';
+
+        return `
+            <details class="match-card__scoreline scoreline">
+                <summary class="match-card__predictions-title scoreline__title">Scoreline Matrix</summary>
+                <div class="scoreline__controls">
+                    <select class="form-control scoreline__model">
+                        ${models.map(model => `<option value="${model}">${model}</option>`).join('')}
+                    </select>
+                    <label class="scoreline__option"><input type="checkbox" class="scoreline__dixon-coles"> Dixon-Coles</label>
+                </div>
+                <div class="scoreline__body"></div>
+            </details>
+        `;
+    },
+
+    /**
+     * Fill a scoreline section with the grid and derived markets for the selected model
+     * @param {Element} section - The .scoreline element of a match card
+     * @param {Object} match - Match data
+     */
+    renderScoreline(section, match) {
+        const prediction = match.predictions[section.querySelector('.scoreline__model').value];
+        const rho = section.querySelector('.scoreline__dixon-coles').checked ? Scoreline.DIXON_COLES_RHO : 0;
+        const grid = prediction && Scoreline.matrix(prediction.homeGoals, prediction.awayGoals, Scoreline.MAX_GOALS, rho);
+        const body = section.querySelector('.scoreline__body');
+        if (!grid) {
+            body.innerHTML = '';
+            return;
+        }
+
+        const likeliest = Scoreline.getLikeliest(grid);
+        const max = likeliest[0].probability;
+        const percent = p => `${(p * 100).toFixed(1)}%`;
+        const rowsHTML = grid.map((row, home) => `
+            <tr>
+                <th>${home}</th>
+                ${row.map((p, away) => {
+                    const rank = likeliest.findIndex(s => s.home === home && s.away === away);
+                    let className = 'scoreline__cell';
+                    if (rank === 0) className += ' scoreline__cell--best';
+                    else if (rank > 0) className += ' scoreline__cell--top';
+                    if (match.homeScore === home && match.awayScore === away) className += ' scoreline__cell--actual';
+                    return `<td class="${className}" style="--cell-strength: ${(p / max).toFixed(2)}">${percent(p)}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        const marketsHTML = Scoreline.getDerivedMarkets(grid).map(market => `
+            <tr>
+                <td>${market.label}</td>
+                <td>${market.outcomes.map(o => `${o.label} <strong>${percent(o.probability)}</strong>`).join(' &middot; ')}</td>
+            </tr>
+        `).join('');
+
+        body.innerHTML = `
+            <table class="scoreline__grid">
+                <thead>
+                    <tr><th title="Home goals down, away goals across">H \\ A</th>${grid[0].map((_, away) => `<th>${away}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+            <div class="scoreline__likeliest">Most likely: ${likeliest.map(s => `${s.home}-${s.away} (${percent(s.probability)})`).join(', ')}</div>
+            <table class="odds-table">
+                <tbody>${marketsHTML}</tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Create the match drawer body: match info, every model's prediction side by side, the
+     * scoreline matrix, market odds, every suggestion with its settlement, head-to-head and form
+     * @param {Object} match - Match data
+     * @param {Array} allMatches - Every loaded match, for form
+     * @param {Map} headToHead - Matches by team pair (HeadToHead.index)
+     * @returns {string} HTML string
+     */
+    createMatchDrawerHTML(match, allMatches, headToHead) {
+        const isCompleted = MatchModel.isCompleted(match);
+        const percent = p => p === null ? '-' : `${(p * 100).toFixed(1)}%`;
+        const goals = g => g === null ? '-' : g.toFixed(2);
+        const section = (title, content) => `
+            <div class="drawer__section">
+                <div class="match-card__predictions-title">${title}</div>
+                ${content}
             </div>
         `;
+        const table = (head, rows, empty) => rows.length
+            ? `<table class="odds-table"><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+            : `<div class="drawer__empty">${empty}</div>`;
+
+        const infoHTML = [
+            ['Match Id', match.id], ['Division', match.division], ['Season', match.season || '-'],
+            ['Date', Utils.formatDate(match.date)], ['Home', match.home], ['Away', match.away],
+            ['Final Score', isCompleted ? `${match.homeScore} - ${match.awayScore}` : 'Not played'],
+            ['Status', MatchModel.getStatusLabel(match)]
+        ].map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('');
+
+        const predictionRows = Object.entries(match.predictions)
+            .sort(([a], [b]) => this.getModelPriority(a, ['rain', 'xgb', 'net']) - this.getModelPriority(b, ['rain', 'xgb', 'net']))
+            .map(([model, p]) => `
+                <tr>
+                    <td>${model}</td>
+                    <td>${percent(p.home)}</td>
+                    <td>${percent(p.draw)}</td>
+                    <td>${percent(p.away)}</td>
+                    <td>${goals(p.homeGoals)}</td>
+                    <td>${goals(p.awayGoals)}</td>
+                </tr>
+            `);
+
+        const suggestionRows = Object.entries(match.modelSuggestions).flatMap(([model, groups]) =>
+            groups.flatMap(group => group['suggestions'].map(s => {
+                const outcome = settleModelSuggestion(match, s);
+                const isCorrect = Settlement.isCorrect(outcome);
+                const status = isCorrect === undefined ? 'status--info' : isCorrect ? 'status--success' : 'status--error';
+                return `
+                    <tr>
+                        <td>${model}</td>
+                        <td>${group['suggestion-type']}</td>
+                        <td>${s['suggestion']}</td>
+                        <td><span class="status ${status}">${outcome || (isCompleted ? 'unsettled' : 'pending')}</span></td>
+                    </tr>
+                `;
+            })));
+
+        const headToHeadRows = this.createHeadToHeadRows(match, headToHead);
+
+        // Form going into the match, so a resolved match shows what was known beforehand
+        const before = allMatches.filter(m => m.id !== match.id && m.date < match.date);
+        const formHTML = [match.home, match.away].map(team => {
+            const results = TeamStats.getTeamMatches(before, team)
+                .filter(m => MatchModel.isCompleted(m))
+                .map(m => TeamStats.getPerspective(m, team, ''))
+                .slice(-5)
+                .map(p => `<span class="drawer__form-result drawer__form-result--${p.result}" title="${Utils.formatDate(p.match.date)} ${p.venue === 'home' ? 'vs' : '@'} ${p.opponent} ${p.goalsFor}-${p.goalsAgainst}">${p.result}</span>`)
+                .join('');
+            return `<div class="drawer__form"><span class="drawer__form-team">${team}</span>${results || '<span class="drawer__empty">No earlier results</span>'}</div>`;
+        }).join('');
+
+        return [
+            section('Match', `<table class="odds-table"><tbody>${infoHTML}</tbody></table>`),
+            section('Model Predictions', table(['Model', '1', 'X', '2', 'H', 'A'], predictionRows, 'No predictions')),
+            `<div class="drawer__section">${this.createScorelineHTML(match)}</div>`,
+            this.createOddsHTML(match),
+            section('Suggestions', table(['Model', 'Type', 'Suggestion', 'Settlement'], suggestionRows, 'No suggestions')),
+            section('Head to Head', table(['Date', 'Home', 'Score', 'Away', 'Models Right'], headToHeadRows, 'No earlier meetings in the data')),
+            section('Recent Form', formHTML)
+        ].join('');
+    },
+
+    /**
+     * Create the head-to-head table rows: earlier meetings, newest first, with how many
+     * models favoured the actual result (each model's pick in the tooltip)
+     * @param {Object} match - Match data
+     * @param {Map} headToHead - Matches by team pair (HeadToHead.index)
+     * @returns {Array<string>} Table rows
+     */
+    createHeadToHeadRows(match, headToHead) {
+        return HeadToHead.getMeetings(headToHead, match).map(m => {
+            const reviews = Object.entries(m.predictions)
+                .map(([model, prediction]) => [model, HeadToHead.review(m, prediction)])
+                .filter(([, review]) => review.pick !== null);
+            const correct = reviews.filter(([, review]) => review.correct).length;
+            const picks = reviews.map(([model, review]) => `${model}: ${review.pick} ${review.correct ? '✓' : '✗'}`).join('\n');
+            const status = !reviews.length ? '' : correct * 2 >= reviews.length ? 'status--success' : 'status--error';
+            return `
+                <tr>
+                    <td>${Utils.formatDate(m.date)}</td>
+                    <td>${m.home}</td>
+                    <td><strong>${m.homeScore} - ${m.awayScore}</strong></td>
+                    <td>${m.away}</td>
+                    <td>${reviews.length ? `<span class="status ${status}" title="${picks}">${correct}/${reviews.length}</span>` : '-'}</td>
+                </tr>
+            `;
+        });
+    },
+
+    /**
+     * Create the collapsed head-to-head section of a match card
+     * @param {Object} match - Match data
+     * @param {Map} headToHead - Matches by team pair (HeadToHead.index)
+     * @returns {string} HTML string, empty when the teams have not met before
+     */
+    createHeadToHeadHTML(match, headToHead) {
+        const rows = this.createHeadToHeadRows(match, headToHead);
+        if (!rows.length) return '';
+        const record = HeadToHead.summarise(HeadToHead.getMeetings(headToHead, match), match.home);
+        return `
+            <details class="match-card__h2h h2h">
+                <summary class="match-card__predictions-title h2h__title">Head to Head (${rows.length})</summary>
+                <div class="h2h__record">${match.home}: ${record.wins}W ${record.draws}D ${record.losses}L, goals ${record.goalsFor}-${record.goalsAgainst}</div>
+                <table class="odds-table">
+                    <thead><tr><th>Date</th><th>Home</th><th>Score</th><th>Away</th><th>Models Right</th></tr></thead>
+                    <tbody>${rows.join('')}</tbody>
+                </table>
+            </details>
+        `;
+    },
+
+    /**
+     * Create market odds HTML with fair probabilities and the best model edge
+     * @param {Object} match - Match data
+     * @returns {string} HTML string, empty when the match has no odds
+     */
+    createOddsHTML(match) {
+        const markets = getMatchMarkets(match);
+        if (!markets.length) return '';
+
+        const rowsHTML = markets.map(market => market.outcomes.map((outcome, index) => {
+            const best = getBestEdge(match, outcome);
+            const edgeClass = best && best.edge > 0 ? 'odds-table__edge--positive' : 'odds-table__edge--negative';
+            return `
+                <tr>
+                    <td>${index === 0 ? `${market.label} <small>(${(market.overround * 100).toFixed(1)}%)</small>` : ''}</td>
+                    <td>${outcome.suggestion}</td>
+                    <td>${outcome.price.toFixed(2)}</td>
+                    <td>${(outcome.fair * 100).toFixed(1)}%</td>
+                    <td class="${edgeClass}">${best ? `${best.edge > 0 ? '+' : ''}${(best.edge * 100).toFixed(1)}% ${best.model}` : '-'}</td>
+                </tr>
+            `;
+        }).join('')).join('');
+
+        return `
+            <div class="match-card__odds">
+                <div class="match-card__predictions-title">Market Odds</div>
+                <table class="odds-table">
+                    <thead>
+                        <tr><th>Market (margin)</th><th>Pick</th><th>Odds</th><th>Fair</th><th>Best Edge</th></tr>
+                    </thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Create the paired statistics of a model comparison
+     * @param {Object} comparison - Result of ModelComparison.compare
+     * @param {string} modelA - First model
+     * @param {string} modelB - Second model
+     * @returns {string} HTML string
+     */
+    createComparisonSummaryHTML(comparison, modelA, modelB) {
+        if (!comparison.count) {
+            return '<div class="no-matches"><h3>No resolved matches predicted by both models</h3></div>';
+        }
+        const percent = (hits, total) => `${(hits / total * 100).toFixed(1)}%`;
+        const pValue = test => test ? test.pValue.toFixed(3) : '-';
+        const significance = test => test && test.pValue < 0.05
+            ? '<span class="status status--success">significant at 5%</span>'
+            : '<span class="status status--info">not significant</span>';
+        const { mcnemar, dieboldMariano } = comparison;
+
+        return `
+            <table class="odds-table compare__table">
+                <thead>
+                    <tr><th>Paired matches: ${comparison.count}</th><th>${modelA}</th><th>${modelB}</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>1X2 hit rate</td><td>${percent(comparison.hitsA, comparison.count)}</td><td>${percent(comparison.hitsB, comparison.count)}</td></tr>
+                    <tr><td>Right where the other was wrong</td><td>${comparison.onlyA}</td><td>${comparison.onlyB}</td></tr>
+                    <tr><td>Mean Brier score</td><td>${comparison.brierA.toFixed(4)}</td><td>${comparison.brierB.toFixed(4)}</td></tr>
+                </tbody>
+            </table>
+            <table class="odds-table compare__table">
+                <thead>
+                    <tr><th>Test</th><th>Statistic</th><th>p-value</th><th></th></tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>McNemar (hit/miss${mcnemar?.exact ? ', exact' : ''})</td>
+                        <td>${mcnemar ? mcnemar.statistic.toFixed(3) : '-'}</td>
+                        <td>${pValue(mcnemar)}</td>
+                        <td>${significance(mcnemar)}</td>
+                    </tr>
+                    <tr>
+                        <td>Diebold-Mariano (Brier, negative favours ${modelA})</td>
+                        <td>${dieboldMariano ? dieboldMariano.statistic.toFixed(3) : '-'}</td>
+                        <td>${pValue(dieboldMariano)}</td>
+                        <td>${significance(dieboldMariano)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Create the table of matches where two models pick a different 1X2 outcome
+     * @param {Array} disagreements - Pairs from ModelComparison.compare
+     * @param {string} modelA - First model
+     * @param {string} modelB - Second model
+     * @returns {string} HTML string
+     */
+    createDisagreementsHTML(disagreements, modelA, modelB) {
+        if (!disagreements.length) {
+            return '<div class="no-matches"><h3>The models agree on every 1X2 pick</h3></div>';
+        }
+        const rowsHTML = disagreements.map(pair => {
+            const winner = pair.hitA ? modelA : pair.hitB ? modelB : 'Neither';
+            return `
+                <tr>
+                    <td>${Utils.formatDate(pair.match.date)}</td>
+                    <td>${pair.match.division}</td>
+                    <td>${pair.match.home} ${pair.match.homeScore} - ${pair.match.awayScore} ${pair.match.away}</td>
+                    <td class="${pair.hitA ? 'odds-table__edge--positive' : ''}">${pair.pickA}</td>
+                    <td class="${pair.hitB ? 'odds-table__edge--positive' : ''}">${pair.pickB}</td>
+                    <td>${winner}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="match-card__predictions-title">Disagreements (${disagreements.length})</div>
+            <table class="odds-table compare__table">
+                <thead>
+                    <tr><th>Date</th><th>Division</th><th>Match</th><th>${modelA}</th><th>${modelB}</th><th>Right</th></tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        `;
     },
 
     getModelPriority(model, modelPrio){
@@ -223,9 +578,9 @@ const DOMUtils = {
     createPredictionsHTML(model, predictions) {
 
         const probabilities = [
-            { key: '1', value: predictions['1'], label: 'Home' },
-            { key: 'X', value: predictions['X'], label: 'Draw' },
-            { key: '2', value: predictions['2'], label: 'Away' }
+            { key: '1', value: predictions.home, label: 'Home' },
+            { key: 'X', value: predictions.draw, label: 'Draw' },
+            { key: '2', value: predictions.away, label: 'Away' }
         ];
         
         // Sort probabilities to determine highest/lowest
@@ -244,9 +599,9 @@ const DOMUtils = {
             <div class="prediction-model" data-id=${model}>
                 <div class="prediction-model__name">${model.replace('-', ' ')}</div>
                 <div class="prediction-model__goals">
-                    <span class="prediction-model__goal">${predictions.H.toFixed(1)}</span>
+                    <span class="prediction-model__goal">${predictions.homeGoals.toFixed(1)}</span>
                     <span class="prediction-model__goal-vs">-</span>
-                    <span class="prediction-model__goal">${predictions.A.toFixed(1)}</span>
+                    <span class="prediction-model__goal">${predictions.awayGoals.toFixed(1)}</span>
                 </div>
                 <div class="prediction-probabilities">
                     ${probsHTML}
@@ -257,13 +612,13 @@ const DOMUtils = {
 
     /**
      * Create result HTML for resolved matches
-     * @param {Object} matchInfo - Match info with results
+     * @param {Object} match - Match with results
      * @returns {string} HTML string
      */
-    createResultHTML(matchInfo) {
+    createResultHTML(match) {
         return `
             <div class="match-result">
-                <strong>result: ${matchInfo.Home} ${matchInfo.FTHG} - ${matchInfo.FTAG} ${matchInfo.Away}</strong>
+                <strong>result: ${match.home} ${match.homeScore} - ${match.awayScore} ${match.away}</strong>
             </div>
         `;
     },
@@ -311,7 +666,7 @@ const DOMUtils = {
 }
 
 function createTooltipContent(element, matches){
-    const match = matches.find(match=>match['match-info']['MatchId'] == element.closest('.match-card').getAttribute('data-id'))
+    const match = matches.find(match=>match.id == element.closest('.match-card').getAttribute('data-id'))
     const model = element.getAttribute('data-id')
     
     return jsonToTable(getMatchSuggestionsForModel(match, model));
@@ -340,7 +695,8 @@ function jsonToTable(data) {
     html += '<tbody>';
     
     for(idx in data[columns[0]]){
-        html += `<tr class="suggestion ${data["result"][idx]!=undefined?(data["result"][idx]?'success':'failed'):""}">`;
+        const isCorrect = Settlement.isCorrect(data["result"][idx]);
+        html += `<tr class="suggestion ${isCorrect!=undefined?(isCorrect?'success':'failed'):""}">`;
         for (const key of columns){
             if(key=="result")
                 continue
@@ -363,8 +719,12 @@ class FilterManager {
             search: '',
             division: 'all',
             dateFrom: '',
-            dateTo: ''
+            dateTo: '',
+            valueOnly: false,
+            valueMargin: 5
         };
+        this.compiledSearch = null;
+        this.compiledQuery = null;
     }
 
     /**
@@ -373,32 +733,38 @@ class FilterManager {
      * @returns {Array} Filtered matches
      */
     applyFilters(matches) {
+        const query = this.getSearchQuery();
+
         return matches.filter(match => {
-            const matchInfo = match['match-info'];
-            
             // Search filter
             if (this.currentFilters.search) {
-                if(this.currentFilters.search.includes("q:"))
-                    try{
-                        return this.applyAdvancedFilters(match['model-predictions'],this.currentFilters.search.split("q:")[1])
-                    } catch (e){
-                        return true;
+                if (this.isAdvancedSearch()) {
+                    if (!query || !query(match.predictions)) {
+                        return false;
+                    }
+                } else {
+                    // "Arsenal vs Chelsea" keeps the meetings of the two teams; team names are
+                    // matched ignoring accents and small typos, including their other spellings
+                    const search = this.currentFilters.search;
+                    const teams = HeadToHead.parseQuery(search);
+                    const found = teams
+                        ? HeadToHead.isBetween(match, teams)
+                        : [match.home, match.away].some(team => TeamAliases.matches(team, search))
+                            || match.division.toLowerCase().includes(search.toLowerCase());
+                    if (!found) {
+                        return false;
                     }
-                const searchTerm = this.currentFilters.search.toLowerCase();
-                const searchText = `${matchInfo.Home} ${matchInfo.Away} ${matchInfo.Div}`.toLowerCase();
-                if (!searchText.includes(searchTerm)) {
-                    return false;
                 }
             }
 
             // Division filter
-            if (this.currentFilters.division !== 'all' && matchInfo.Div !== this.currentFilters.division) {
+            if (this.currentFilters.division !== 'all' && match.division !== this.currentFilters.division) {
                 return false;
             }
 
             // Date filters
             if (this.currentFilters.dateFrom) {
-                const matchDate = Utils.parseDate(matchInfo.MatchId);
+                const matchDate = match.date;
                 let date = this.currentFilters.dateFrom.split('-')
                 const fromDate = new Date(date[0],date[1]-1,date[2]);
                 if (matchDate < fromDate) {
@@ -407,7 +773,7 @@ class FilterManager {
             }
 
             if (this.currentFilters.dateTo) {
-                const matchDate = Utils.parseDate(matchInfo.MatchId);
+                const matchDate = match.date;
                 let date = this.currentFilters.dateTo.split('-')
                 const toDate = new Date(date[0],date[1]-1,date[2]);
                 if (matchDate > toDate) {
@@ -415,12 +781,55 @@ class FilterManager {
                 }
             }
 
+            // Value filter
+            if (this.currentFilters.valueOnly && !hasValueBet(match, (this.currentFilters.valueMargin || 0) / 100)) {
+                return false;
+            }
+
             return true;
         });
     }
 
-    applyAdvancedFilters(models, query){
-        return eval(query)
+    /**
+     * Whether the search box holds a `q:` model prediction query
+     * @returns {boolean} True for advanced queries
+     */
+    isAdvancedSearch() {
+        return this.currentFilters.search.trim().startsWith('q:');
+    }
+
+    /**
+     * Compile the current `q:` search, caching the result until the text changes.
+     * Syntax errors are reported under the search box and match nothing.
+     * @returns {Function|null} Predicate over model predictions, or null
+     */
+    getSearchQuery() {
+        const search = this.currentFilters.search;
+        if (this.compiledSearch === search) return this.compiledQuery;
+
+        this.compiledSearch = search;
+        this.compiledQuery = null;
+        this.showQueryError('');
+        if (this.isAdvancedSearch()) {
+            try {
+                this.compiledQuery = QueryLanguage.compile(search.trim().slice(2));
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error;
+                this.showQueryError(error.message);
+            }
+        }
+        return this.compiledQuery;
+    }
+
+    /**
+     * Show or clear the inline query error
+     * @param {string} message - Error message, empty to hide
+     */
+    showQueryError(message) {
+        const errorEl = document.getElementById('search-error');
+        if (!errorEl) return;
+        errorEl.textContent = message;
+        errorEl.classList.toggle('hidden', !message);
     }
 
     /**
@@ -431,6 +840,8 @@ class FilterManager {
         this.currentFilters.division = DOMUtils.getElementById('division-filter')?.value || 'all';
         this.currentFilters.dateFrom = DOMUtils.getElementById('date-from')?.value || '';
         this.currentFilters.dateTo = DOMUtils.getElementById('date-to')?.value || '';
+        this.currentFilters.valueOnly = DOMUtils.getElementById('value-only')?.checked || false;
+        this.currentFilters.valueMargin = parseFloat(DOMUtils.getElementById('value-margin')?.value) || 0;
     }
 
     /**
@@ -441,7 +852,9 @@ class FilterManager {
             search: '',
             division: 'all',
             dateFrom: '',
-            dateTo: ''
+            dateTo: '',
+            valueOnly: false,
+            valueMargin: 5
         };
 
         // Update form inputs
@@ -449,11 +862,15 @@ class FilterManager {
         const divisionFilter = DOMUtils.getElementById('division-filter');
         const dateFromInput = DOMUtils.getElementById('date-from');
         const dateToInput = DOMUtils.getElementById('date-to');
+        const valueOnlyInput = DOMUtils.getElementById('value-only');
+        const valueMarginInput = DOMUtils.getElementById('value-margin');
 
         if (searchInput) searchInput.value = '';
         if (divisionFilter) divisionFilter.value = 'all';
         if (dateFromInput) dateFromInput.value = '';
         if (dateToInput) dateToInput.value = '';
+        if (valueOnlyInput) valueOnlyInput.checked = false;
+        if (valueMarginInput) valueMarginInput.value = 5;
     }
 
     hideFilters() {
@@ -474,7 +891,17 @@ class FilterPresetManager {
 
     static getAll() {
         try {
-            return Object.assign(FilterPresetManager.getDefaultPresets(),FilterPresetManager.loadFromStorage());
+            const defaults = FilterPresetManager.getDefaultPresets();
+            const stored = FilterPresetManager.loadFromStorage();
+            // Stored copies of built-in presets may still hold the old eval() syntax. Custom presets
+            // are kept as they are; loading an invalid one shows its error under the search box.
+            Object.keys(defaults).forEach(name => {
+                const search = (stored[name]?.search || '').trim();
+                if (search.startsWith('q:') && !QueryLanguage.isValid(search.slice(2))) {
+                    delete stored[name];
+                }
+            });
+            return Object.assign(defaults, stored);
         } catch {
             return {};
         }
@@ -488,54 +915,49 @@ class FilterPresetManager {
     static getDefaultPresets(){
         return {
             "A model expects dominant performance - From Goals" : {
-                'search':'q:Object.values(models).some(model=>(model.H > 2 && model.A < 1) || (model.A > 2 && model.H < 1))',
+                'search': 'q: any((.H > 2 and .A < 1) or (.A > 2 and .H < 1))',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
             },
             "A model expects dominant performance - From Win Prob" : {
-                'search':'q:Object.values(models).some(model=>model["1"] > 0.8 || model["2"] > 0.8)',
+                'search': 'q: any(.1 > 0.8 or .2 > 0.8)',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
             },
             "A model expects dominant performance - From Win Prob (any %)" : {
-                'search':`q:
-                    const allSameMax = obj => {
-                    const keys = ['1', 'X', '2'];
-                    return Object.values(obj).every(v => keys.reduce((a,b) => v[a] > v[b] ? a : b) === keys.reduce((a,b) => Object.values(obj)[0][a] > Object.values(obj)[0][b] ? a : b));
-                };
-                allSameMax(models)`,
+                'search': 'q: all(.pick == "1") or all(.pick == "X") or all(.pick == "2")',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
             },
             "All models aggree on BTTS (Y)" : {
-                'search': 'q:Object.values(models).every(model=>model.H > 1.3 && model.A > 1.3)',
+                'search': 'q: all(.H > 1.3 and .A > 1.3)',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
             },
             "Is this Football or Fusball?" : {
-                'search': 'q:Object.values(models).every(model=>model.H + model.A > 3.5)',
+                'search': 'q: all(.H + .A > 3.5)',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
             },
             "Goals in total agreement" : {
-                'search': 'q:Object.values(models).every(model => Math.round(model.H) == Math.round(models[0].H) && Math.round(model.A) == Math.round(models[0].A))',
+                'search': 'q: min(round(.H)) == max(round(.H)) and min(round(.A)) == max(round(.A))',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
             },
             "High Draw Probability" : {
-                "search": "q:Object.values(models).some(model=>model.X > 0.7)",
+                'search': 'q: any(.X > 0.7)',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
             },
             "All models Win Probability in agreement" : {
-                'search': 'q: Object.values(models).every(model => model["1"] > 0.6499) || Object.values(models).every(model => model["X"] > 0.6499) || Object.values(models).every(model => model["2"] > 0.6499)',
+                'search': 'q: all(.1 > 0.6499) or all(.X > 0.6499) or all(.2 > 0.6499)',
                 'division': 'all',
                 'dateFrom' : '',
                 'dateTo' : ''
@@ -574,6 +996,11 @@ class FilterPresetManager {
         if (divisionFilter) divisionFilter.value = this.filterManager.currentFilters.division;
         if (dateFromInput) dateFromInput.value = this.filterManager.currentFilters.dateFrom;
         if (dateToInput) dateToInput.value = this.filterManager.currentFilters.dateTo;
+
+        const valueOnlyInput = DOMUtils.getElementById('value-only');
+        const valueMarginInput = DOMUtils.getElementById('value-margin');
+        if (valueOnlyInput) valueOnlyInput.checked = !!this.filterManager.currentFilters.valueOnly;
+        if (valueMarginInput) valueMarginInput.value = this.filterManager.currentFilters.valueMargin ?? 5;
     }
 
     setupPresetEventListeners() {
@@ -639,21 +1066,25 @@ class FilterPresetManager {
     }
 }
 
+/**
+ * Key of a match's division in the metrics data
+ * @param {Object} match - Match data
+ * @returns {string} Division key
+ */
+function getMetricsDivisionKey(match) {
+    return match.id.split('-')[window.location.search.includes('odds') ? 0 : 1];
+}
+
 function getMatchSuggestionsForModel(match, model){
-    const divId = match['match-info']['MatchId'].split('-')[window.location.search.includes('odds')?0:1]
-    const div = match['match-info']['Div']
-    const modelPredictions = match['model-predictions'][model];
-    const home = modelPredictions['1'];
-    const draw = modelPredictions['X'];
-    const away = modelPredictions['2'];
-    const homeGoals = modelPredictions['H'];
-    const awayGoals = modelPredictions['A'];
+    const divId = getMetricsDivisionKey(match)
+    const div = match.division
     
     toSuggest = {'suggestion':[],'overall':[]}
     toSuggest[div]=[]
     toSuggest['result']=[]
 
-    match['model-suggestions'][model].forEach(suggestion=>{
+    const modelSuggestions = match.modelSuggestions[model] || [];
+    modelSuggestions.forEach(suggestion=>{
         if(!suggestion['suggestions'].length)
             return;
         const overallMetrics = METRICS_DATA['overall'].metrics[model];
@@ -667,13 +1098,110 @@ function getMatchSuggestionsForModel(match, model){
             toSuggest['suggestion'].push(s['suggestion']);
             toSuggest['overall'].push(getSuggestionPercentageLabel(overallMetrics, s['pType']))
             toSuggest[div].push(getSuggestionPercentageLabel(divMetrics, s['pType']))
-            toSuggest['result'].push(s['result'])
+            toSuggest['result'].push(settleModelSuggestion(match, s))
 
         });
     });
     return toSuggest;
 }
 
+/**
+ * Settle a model suggestion against the final score, falling back to the API's
+ * own result for suggestions no registered market understands
+ * @param {Object} match - Match data
+ * @param {Object} suggestion - Suggestion entry from model-suggestions
+ * @returns {string|undefined} Settlement outcome
+ */
+function settleModelSuggestion(match, suggestion) {
+    // Void and abandoned matches refund every suggestion, which keeps them out of accuracy figures
+    if (MatchModel.isVoid(match)) return Settlement.OUTCOMES.VOID;
+    if (!MatchModel.isCompleted(match)) return undefined;
+    if (Settlement.findMarket(suggestion['suggestion'])) {
+        return Settlement.settle(suggestion['suggestion'], MatchModel.getScore(match));
+    }
+    if (suggestion['result'] === undefined || suggestion['result'] === null) return undefined;
+    return suggestion['result'] ? Settlement.OUTCOMES.WIN : Settlement.OUTCOMES.LOSE;
+}
+
+/**
+ * Export record of a match: info, final score, odds, every model's prediction and
+ * every model's suggestions with their settlement outcome
+ * @param {Object} match - Match data
+ * @returns {Object} Record for Exporter
+ */
+function getExportRecord(match) {
+    const suggestions = {};
+    Object.entries(match.modelSuggestions).forEach(([model, groups]) => {
+        suggestions[model] = groups.flatMap(group => group['suggestions'].map(s => ({
+            suggestion: s['suggestion'],
+            outcome: settleModelSuggestion(match, s) || 'pending'
+        })));
+    });
+    return {
+        id: match.id,
+        date: match.date ? MatchModel.getDateKey(match) : '',
+        division: match.division,
+        season: match.season,
+        home: match.home,
+        away: match.away,
+        homeScore: match.homeScore,
+        awayScore: match.awayScore,
+        odds: match.odds,
+        predictions: match.predictions,
+        suggestions
+    };
+}
+
+/**
+ * Probability a model gives a suggestion: 1X2 picks come straight from the model,
+ * other markets from a Poisson grid over the model's expected goals
+ * @param {Object} prediction - Normalised model prediction
+ * @param {string} suggestion - Suggestion string
+ * @returns {number|null} Probability, or null when it cannot be derived
+ */
+function getModelProbability(prediction, suggestion) {
+    const results = { '1': prediction.home, 'X': prediction.draw, '2': prediction.away };
+    if (suggestion in results) return results[suggestion];
+    return Scoreline.marketProbability(Scoreline.matrix(prediction.homeGoals, prediction.awayGoals), suggestion);
+}
+
+/**
+ * Priced markets for a match
+ * @param {Object} match - Match data
+ * @returns {Array<Object>} Markets from the Odds module
+ */
+function getMatchMarkets(match) {
+    return Odds.getMarkets(match.odds);
+}
+
+/**
+ * Largest model edge over the fair market probability for one outcome
+ * @param {Object} match - Match data
+ * @param {Object} outcome - Priced outcome from the Odds module
+ * @returns {Object|null} {model, edge}, or null when no model covers the market
+ */
+function getBestEdge(match, outcome) {
+    return Object.entries(match.predictions).reduce((best, [model, prediction]) => {
+        const probability = getModelProbability(prediction, outcome.suggestion);
+        if (probability === null || probability === undefined) return best;
+        const edge = probability - outcome.fair;
+        return !best || edge > best.edge ? { model, edge } : best;
+    }, null);
+}
+
+/**
+ * Whether any model beats the fair market probability of any outcome by the margin
+ * @param {Object} match - Match data
+ * @param {number} margin - Required edge as a fraction, e.g. 0.05
+ * @returns {boolean} True for value matches
+ */
+function hasValueBet(match, margin) {
+    return getMatchMarkets(match).some(market => market.outcomes.some(outcome => {
+        const best = getBestEdge(match, outcome);
+        return best !== null && best.edge >= margin;
+    }));
+}
+
 // ============================================================================
 // DATA MANAGEMENT
 // ============================================================================
@@ -707,19 +1235,18 @@ class DataManager {
     }
 
     /**
-     * Parse raw API data into match objects
+     * Parse raw API data into normalised match objects
      * @param {Object} rawData - Raw API data
      * @returns {Array} Parsed matches
      */
     parseMatchData(rawData) {
         const matches = [];
         
-        Object.entries(rawData).forEach(([key, matchData]) => {
+        Object.values(rawData).forEach(matchData => {
             if (matchData['match-info'] && matchData['model-predictions']) {
-                matches.push({
-                    id: key,
-                    ...matchData
-                });
+                const match = MatchModel.fromAnalyst(matchData);
+                match.odds = Odds.getPrices(matchData['match-info'], matchData['odds']);
+                matches.push(match);
             }
         });
 
@@ -735,20 +1262,17 @@ class DataManager {
         const currentDate = new Date().setHours(0, 0, 0, 0);
         
         return {
+            // Postponed fixtures leave the match lists until they are rescheduled
             upcoming: matches.filter(match => {
-                const matchDate = match['match-info'].Date;
-                const hasResult = match['match-info'].FTHG !== null && match['match-info'].FTAG !== null;
-                return matchDate >= currentDate && !hasResult;
-            }).sort((a,b)=>a['match-info'].Date-b['match-info'].Date),
+                return match.date >= currentDate && MatchModel.isPending(match);
+            }).sort((a,b)=>a.date-b.date),
             unresolved: matches.filter(match => {
-                const matchDate = match['match-info'].Date;
-                const hasResult = match['match-info'].FTHG !== null && match['match-info'].FTAG !== null;
-                return matchDate < currentDate && !hasResult;
-            }).sort((a,b)=>a['match-info'].Date-b['match-info'].Date),
+                return match.date < currentDate && MatchModel.isPending(match);
+            }).sort((a,b)=>a.date-b.date),
+            // Void and abandoned matches are resolved with every suggestion refunded
             resolved: matches.filter(match => {
-                const hasResult = match['match-info'].FTHG !== null && match['match-info'].FTAG !== null;
-                return hasResult;
-            }).sort((a,b)=>b['match-info'].Date-a['match-info'].Date)
+                return MatchModel.isCompleted(match) || MatchModel.isVoid(match);
+            }).sort((a,b)=>b.date-a.date)
         };
     }
 }
@@ -763,6 +1287,8 @@ class FootballAnalyticsApp {
         this.filterManager = new FilterManager();
         this.filterPresetManager = new FilterPresetManager(this, this.filterManager);
         this.dataManager = new DataManager();
+        this.ensembleManager = new EnsembleManager(this);
+        this.resultOverrides = new ResultOverrides(this);
         
         // Initialize charts manager
         this.state.chartsManager = new ChartsManager();
@@ -778,6 +1304,9 @@ class FootballAnalyticsApp {
         this.setupFilters();
         this.filterPresetManager.setupPresetEventListeners();
         this.filterPresetManager.updatePresetList();
+        this.ensembleManager.setupEnsembleEventListeners();
+        this.resultOverrides.setupReconcileEventListeners();
+        this.setupRouter();
     }
 
     /**
@@ -802,13 +1331,65 @@ class FootballAnalyticsApp {
         if (divisionFilter) divisionFilter.addEventListener('change', () => this.applyFilters());
         if (dateFromInput) dateFromInput.addEventListener('change', () => this.applyFilters());
         if (dateToInput) dateToInput.addEventListener('change', () => this.applyFilters());
+        DOMUtils.getElementById('value-only')?.addEventListener('change', () => this.applyFilters());
+        DOMUtils.getElementById('value-margin')?.addEventListener('input', Utils.debounce(() => this.applyFilters(), 300));
         if (clearFiltersBtn) clearFiltersBtn.addEventListener('click', () => this.clearFilters());
 
+        // Scoreline sections are rendered on first open; toggle does not bubble, so capture it
+        const renderScoreline = section => {
+            const match = this.state.allMatches.find(m => m.id == section.closest('[data-id]').dataset.id);
+            if (match) DOMUtils.renderScoreline(section, match);
+        };
+        document.addEventListener('toggle', e => {
+            if (e.target.classList?.contains('scoreline') && e.target.open) renderScoreline(e.target);
+        }, true);
+
+        // Match drawer, opened by clicking a card anywhere outside its scoreline section
+        document.addEventListener('click', (e) => {
+            const card = e.target.closest('.match-card');
+            if (card && !e.target.closest('.scoreline, .h2h, .reconcile')) this.openMatchDrawer(card.dataset.id);
+        });
+        const closeDrawer = () => {
+            this.closeMatchDrawer();
+            this.syncUrlState();
+        };
+        DOMUtils.getElementById('match-drawer-close')?.addEventListener('click', closeDrawer);
+        DOMUtils.getElementById('match-drawer-backdrop')?.addEventListener('click', closeDrawer);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.state.openMatchId) closeDrawer();
+        });
+        document.addEventListener('change', e => {
+            if (e.target.matches('.scoreline__model, .scoreline__dixon-coles')) renderScoreline(e.target.closest('.scoreline'));
+        });
+
+        ['compare-model-a', 'compare-model-b'].forEach(id => {
+            DOMUtils.getElementById(id)?.addEventListener('change', () => {
+                this.updateMatchDisplays();
+                this.syncUrlState();
+            });
+        });
+
+        // Export of the filtered resolved matches
+        const exportFormat = DOMUtils.getElementById('resolved-export-format');
+        if (exportFormat) {
+            exportFormat.innerHTML = Object.entries(Exporter.FORMATS)
+                .map(([value, format]) => `<option value="${value}">${format.label}</option>`).join('');
+        }
+        DOMUtils.getElementById('resolved-export')?.addEventListener('click', () => this.exportResolved());
+
+        // Chart downloads (the chart cards are rebuilt, so delegate from the grid)
+        DOMUtils.getElementById('charts-grid')?.addEventListener('click', (e) => {
+            const format = e.target.dataset.chartFormat;
+            const chartId = e.target.closest('.chart-card')?.dataset.chart;
+            if (format && chartId) Exporter.exportChart(this.state.chartsManager.charts[chartId], format, chartId);
+        });
+
         // Charts division selector
         const chartsSelector = DOMUtils.getElementById('charts-division-selector');
         if (chartsSelector) {
             chartsSelector.addEventListener('change', (e) => {
                 this.state.chartsManager.updateCharts(e.target.value);
+                this.syncUrlState();
             });
         }
 
@@ -819,6 +1400,7 @@ class FootballAnalyticsApp {
      */
     initializeCharts() {
         // Initialize charts with metrics data
+        this.state.chartsManager.ensembleNames = [...EnsembleManager.applied];
         this.state.chartsManager.initialize(METRICS_DATA);
         
         // Populate division selector
@@ -848,6 +1430,21 @@ class FootballAnalyticsApp {
      */
     async loadData() {
         this.state.allMatches = await this.dataManager.fetchMatches();
+        this.state.headToHead = HeadToHead.index(this.state.allMatches);
+        // Manual results first, so the ensembles and metrics see them
+        ResultOverrides.apply(this.state.allMatches, METRICS_DATA, getMetricsDivisionKey);
+        EnsembleManager.apply(this.state.allMatches, METRICS_DATA, getMetricsDivisionKey);
+        this.updateMatchDisplays();
+    }
+
+    /**
+     * Recompute the stored ensembles after one was saved or deleted, or a result was reconciled
+     */
+    refreshEnsembles() {
+        EnsembleManager.apply(this.state.allMatches, METRICS_DATA, getMetricsDivisionKey);
+        this.state.chartsManager.ensembleNames = [...EnsembleManager.applied];
+        if (METRICS_DATA) this.state.chartsManager.createAllCharts();
+        this.populateComparisonModels();
         this.updateMatchDisplays();
     }
 
@@ -856,6 +1453,7 @@ class FootballAnalyticsApp {
      */
     setupFilters() {
         this.populateDivisionFilter();
+        this.populateComparisonModels();
         // this.loadPresets();
     }
 
@@ -866,7 +1464,7 @@ class FootballAnalyticsApp {
         const divisionFilter = DOMUtils.getElementById('division-filter');
         if (!divisionFilter) return;
 
-        const divisions = [...new Set(this.state.allMatches.map(match => match['match-info'].Div))];
+        const divisions = [...new Set(this.state.allMatches.map(match => match.division))];
         
         divisionFilter.innerHTML = '<option value="all">All Divisions</option>';
         divisions.forEach(division => {
@@ -877,6 +1475,23 @@ class FootballAnalyticsApp {
         });
     }
 
+    /**
+     * Populate the two model selectors of the comparison view
+     */
+    populateComparisonModels() {
+        const models = ModelComparison.getModels(this.state.allMatches);
+        const defaults = models.includes('xgboost') && models.includes('combined-xgboost')
+            ? ['xgboost', 'combined-xgboost']
+            : [models[0], models[1] || models[0]];
+
+        ['compare-model-a', 'compare-model-b'].forEach((id, index) => {
+            const selector = DOMUtils.getElementById(id);
+            if (!selector) return;
+            selector.innerHTML = models.map(model => `<option value="${model}">${model}</option>`).join('');
+            if (defaults[index]) selector.value = defaults[index];
+        });
+    }
+
     /**
      * Load and populate preset selector
      */
@@ -909,6 +1524,7 @@ class FootballAnalyticsApp {
         } else {
             this.filterManager.hideFilters();
         }
+        this.syncUrlState();
     }
 
     /**
@@ -917,6 +1533,7 @@ class FootballAnalyticsApp {
     applyFilters() {
         this.filterManager.updateFiltersFromForm();
         this.updateMatchDisplays();
+        this.syncUrlState();
     }
 
     /**
@@ -925,6 +1542,120 @@ class FootballAnalyticsApp {
     clearFilters() {
         this.filterManager.clearFilters();
         this.updateMatchDisplays();
+        this.syncUrlState();
+    }
+
+    /**
+     * Download the resolved matches that pass the current filters
+     */
+    exportResolved() {
+        const resolved = this.dataManager.categorizeMatches(this.state.allMatches).resolved;
+        const records = this.filterManager.applyFilters(resolved).map(match => getExportRecord(match));
+        Exporter.exportRecords(records, DOMUtils.getElementById('resolved-export-format').value, 'resolved-matches');
+    }
+
+    /**
+     * Keep the URL hash in step with the view and restore the view from it on navigation.
+     * The query string is left alone because it is forwarded to the API.
+     */
+    setupRouter() {
+        this.restoringUrlState = false;
+        HashRouter.listen(state => this.restoreUrlState(state));
+        if (window.location.hash) this.restoreUrlState(HashRouter.read());
+    }
+
+    /**
+     * Current view as URL state; defaults are left out to keep links short
+     * @returns {Object} Flat state map
+     */
+    getUrlState() {
+        const filters = this.filterManager.currentFilters;
+        const chartDivision = this.state.chartsManager.currentDivision;
+        const isCompare = this.state.currentTab === 'compare';
+        return {
+            tab: this.state.currentTab === 'upcoming' ? '' : this.state.currentTab,
+            search: filters.search,
+            division: filters.division === 'all' ? '' : filters.division,
+            from: filters.dateFrom,
+            to: filters.dateTo,
+            value: filters.valueOnly ? filters.valueMargin : '',
+            chart: chartDivision.toLowerCase() === 'overall' ? '' : chartDivision,
+            modelA: isCompare ? DOMUtils.getElementById('compare-model-a')?.value : '',
+            modelB: isCompare ? DOMUtils.getElementById('compare-model-b')?.value : '',
+            match: this.state.openMatchId
+        };
+    }
+
+    syncUrlState() {
+        if (!this.restoringUrlState) HashRouter.update(this.getUrlState());
+    }
+
+    /**
+     * Reproduce a view from URL state
+     * @param {Object} state - State read from the hash
+     */
+    restoreUrlState(state) {
+        this.restoringUrlState = true;
+        try {
+            this.filterManager.currentFilters = {
+                search: state.search || '',
+                division: state.division || 'all',
+                dateFrom: state.from || '',
+                dateTo: state.to || '',
+                valueOnly: state.value !== undefined,
+                valueMargin: state.value !== undefined ? parseFloat(state.value) || 0 : 5
+            };
+            this.filterPresetManager.updateFormFromFilters();
+
+            const chartsSelector = DOMUtils.getElementById('charts-division-selector');
+            const chart = state.chart || 'overall';
+            if (this.state.chartsManager.currentDivision.toLowerCase() !== chart.toLowerCase() && METRICS_DATA?.[chart]) {
+                if (chartsSelector) chartsSelector.value = chart;
+                this.state.chartsManager.updateCharts(chart);
+            }
+            if (state.modelA) DOMUtils.getElementById('compare-model-a').value = state.modelA;
+            if (state.modelB) DOMUtils.getElementById('compare-model-b').value = state.modelB;
+
+            this.switchTab(document.getElementById(state.tab) ? state.tab : 'upcoming');
+            if (state.match) this.openMatchDrawer(state.match);
+            else this.closeMatchDrawer();
+        } finally {
+            this.restoringUrlState = false;
+        }
+    }
+
+    /**
+     * Open the detail drawer of a match and record it in the URL
+     * @param {string} id - Match id
+     */
+    openMatchDrawer(id) {
+        const match = this.state.allMatches.find(m => m.id == id);
+        const drawer = DOMUtils.getElementById('match-drawer');
+        if (!match || !drawer) return;
+        this.state.openMatchId = match.id;
+        const score = MatchModel.isCompleted(match) ? `${match.homeScore} - ${match.awayScore}` : 'vs';
+        DOMUtils.getElementById('match-drawer-title').textContent = `${match.home} ${score} ${match.away}`;
+        DOMUtils.getElementById('match-drawer-subtitle').textContent = `${match.division} · ${Utils.formatDate(match.date)}`;
+        const body = DOMUtils.getElementById('match-drawer-body');
+        body.dataset.id = match.id;
+        body.innerHTML = DOMUtils.createMatchDrawerHTML(match, this.state.allMatches, this.state.headToHead);
+        const scoreline = body.querySelector('.scoreline');
+        if (scoreline) scoreline.open = true;
+        drawer.classList.add('drawer--open');
+        drawer.setAttribute('aria-hidden', 'false');
+        DOMUtils.getElementById('match-drawer-backdrop').classList.remove('hidden');
+        this.syncUrlState();
+    }
+
+    /**
+     * Close the match drawer; callers update the URL
+     */
+    closeMatchDrawer() {
+        this.state.openMatchId = null;
+        const drawer = document.getElementById('match-drawer');
+        drawer?.classList.remove('drawer--open');
+        drawer?.setAttribute('aria-hidden', 'true');
+        document.getElementById('match-drawer-backdrop')?.classList.add('hidden');
     }
 
     /**
@@ -946,6 +1677,10 @@ class FootballAnalyticsApp {
         });
 
         // Update current tab display
+        if (this.state.currentTab === 'compare') {
+            this.renderComparison(categorized.resolved);
+            return;
+        }
         this.renderMatches(categorized[this.state.currentTab] || []);
         DOMUtils.initialiseTooltipHandling(this.state.allMatches);
     }
@@ -965,10 +1700,26 @@ class FootballAnalyticsApp {
             noMatchesEl.classList.remove('hidden');
         } else {
             noMatchesEl.classList.add('hidden');
-            container.innerHTML = matches.map(match => DOMUtils.createMatchCard(match)).join('');
+            container.innerHTML = matches.map(match => DOMUtils.createMatchCard(match, this.state.headToHead)).join('');
         }
 
     }
+
+    /**
+     * Render the head-to-head comparison of the two selected models
+     * @param {Array} matches - Resolved matches after filtering
+     */
+    renderComparison(matches) {
+        const modelA = DOMUtils.getElementById('compare-model-a')?.value;
+        const modelB = DOMUtils.getElementById('compare-model-b')?.value;
+        const summaryEl = DOMUtils.getElementById('compare-summary');
+        const matchesEl = DOMUtils.getElementById('compare-matches');
+        if (!summaryEl || !matchesEl || !modelA || !modelB) return;
+
+        const comparison = ModelComparison.compare(matches, modelA, modelB);
+        summaryEl.innerHTML = DOMUtils.createComparisonSummaryHTML(comparison, modelA, modelB);
+        matchesEl.innerHTML = DOMUtils.createDisagreementsHTML(comparison.disagreements, modelA, modelB);
+    }
 }
 
 // ============================================================================
@@ -27,6 +27,16 @@ class ChartsManager {
             '#FF9F40',  // Orange
             '#FF6384'   // Pink variant
         ];
+        // User-defined blends, drawn after the API models
+        this.ensembleNames = [];
+    }
+
+    /**
+     * Models shown on the charts: the API models followed by any ensembles
+     * @returns {Array<string>} Model names
+     */
+    getModelNames() {
+        return [...this.modelNames, ...this.ensembleNames];
     }
 
     /**
@@ -152,7 +162,7 @@ class ChartsManager {
         const metrics = this.getMetricsForDivision(this.currentDivision == 'Overall' ? 'overall' : this.currentDivision);
         
         const datasets = metricPairs.map((pair, index) => {
-            const data = this.modelNames.map(model => {
+            const data = this.getModelNames().map(model => {
                 const modelMetrics = metrics[model] || {};
                 const correct = modelMetrics[pair.correct] || 0;
                 const total = modelMetrics[pair.total] || 0;
@@ -171,7 +181,7 @@ class ChartsManager {
         const config = {
             type: 'bar',
             data: {
-                labels: this.modelNames,
+                labels: this.getModelNames(),
                 datasets: datasets
             },
             options: {
@@ -258,8 +268,12 @@ class ChartsManager {
         DOMUtils.getElementById('charts-grid').innerHTML = 
         this.metricsData['chart-groupings'].map(chart=>
             `
-                <div class="chart-card">
+                <div class="chart-card" data-chart="${this.getChartId(chart)}">
                     <canvas id="${this.getChartId(chart)}" height="300" ></canvas>
+                    <div class="chart-card__export">
+                        ${Object.entries(Exporter.CHART_FORMATS).map(([format, label]) =>
+                            `<button class="btn btn--sm btn--outline" data-chart-format="${format}">${label}</button>`).join('')}
+                    </div>
                 </div>
             `
         ).join('');
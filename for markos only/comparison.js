@@ -0,0 +1,89 @@
+/**
+ * Comparison Module - Head-to-head comparison of two models on resolved matches
+ * Pairs the models' 1X2 picks and Brier scores match by match and tests whether the
+ * difference is significant (McNemar on hit/miss, Diebold-Mariano on Brier)
+ */
+
+class ModelComparison {
+    /**
+     * Names of every model with 1X2 probabilities in the matches
+     * @param {Array} matches - Matches
+     * @returns {Array<string>} Model names, sorted
+     */
+    static getModels(matches) {
+        const models = new Set();
+        matches.forEach(match => Object.entries(match.predictions).forEach(([model, p]) => {
+            if (p.home !== null && p.draw !== null && p.away !== null) models.add(model);
+        }));
+        return [...models].sort();
+    }
+
+    /**
+     * 1X2 pick of a prediction: the outcome with the highest probability
+     * @param {Object} prediction - Prediction with home, draw and away probabilities
+     * @returns {string} "1", "X" or "2"
+     */
+    static getPick(prediction) {
+        const probs = [prediction.home, prediction.draw, prediction.away];
+        return Metrics.OUTCOMES[probs.indexOf(Math.max(...probs))];
+    }
+
+    /**
+     * Compare two models on every completed match both have predicted
+     * @param {Array} matches - Matches, already filtered
+     * @param {string} modelA - First model
+     * @param {string} modelB - Second model
+     * @returns {Object} {pairs, disagreements, count, hitsA, hitsB, onlyA, onlyB, brierA, brierB, mcnemar, dieboldMariano}
+     */
+    static compare(matches, modelA, modelB) {
+        const pairs = matches
+            .filter(match => MatchModel.isCompleted(match) && match.predictions[modelA] && match.predictions[modelB])
+            .map(match => {
+                const result = Settlement.getResult(MatchModel.getScore(match));
+                const a = match.predictions[modelA];
+                const b = match.predictions[modelB];
+                const scoreA = Metrics.score([a.home, a.draw, a.away], result);
+                const scoreB = Metrics.score([b.home, b.draw, b.away], result);
+                if (!scoreA || !scoreB) return null;
+                const pickA = this.getPick(a);
+                const pickB = this.getPick(b);
+                return {
+                    match,
+                    result,
+                    pickA,
+                    pickB,
+                    hitA: pickA === result,
+                    hitB: pickB === result,
+                    brierA: scoreA.brier,
+                    brierB: scoreB.brier
+                };
+            })
+            .filter(Boolean);
+
+        const count = predicate => pairs.filter(predicate).length;
+        const mean = key => pairs.length ? pairs.reduce((sum, p) => sum + p[key], 0) / pairs.length : null;
+        const onlyA = count(p => p.hitA && !p.hitB);
+        const onlyB = count(p => p.hitB && !p.hitA);
+
+        return {
+            pairs,
+            disagreements: pairs.filter(p => p.pickA !== p.pickB),
+            count: pairs.length,
+            hitsA: count(p => p.hitA),
+            hitsB: count(p => p.hitB),
+            onlyA,
+            onlyB,
+            brierA: mean('brierA'),
+            brierB: mean('brierB'),
+            mcnemar: Metrics.mcnemar(onlyA, onlyB),
+            dieboldMariano: Metrics.dieboldMariano(pairs.map(p => p.brierA - p.brierB))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelComparison;
+} else {
+    window.ModelComparison = ModelComparison;
+}
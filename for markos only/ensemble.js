@@ -0,0 +1,406 @@
+/**
+ * Ensemble Module - User-defined weighted blends of the API models
+ *
+ * A blend is stored as {method, weights: {model: weight}} under its name. It is computed on
+ * the client for every match and added to match.predictions, match.modelSuggestions and the
+ * metrics data, so cards, tooltips, the query language and charts treat it like any model.
+ *
+ * Methods:
+ *   average      weighted arithmetic mean of the 1X2 probabilities (equal weights = simple average)
+ *   log-linear   weighted geometric mean, renormalised
+ *   fitted       arithmetic mean with weights fitted to minimise log loss on resolved matches;
+ *                each match uses weights fitted on earlier days only, so its scores stay out of sample
+ *
+ * Expected goals are always the weighted arithmetic mean. A blend suggests what the weighted
+ * majority of its members suggest, so its suggestions carry the API's pTypes and feed the charts.
+ */
+
+class EnsembleManager {
+    constructor(appManager) {
+        this.appManager = appManager;
+    }
+
+    static STORAGE_KEY = 'football_ensembles';
+
+    static METHODS = {
+        average: 'Weighted Average',
+        'log-linear': 'Log-linear Pooling',
+        fitted: 'Fitted (min. log loss)'
+    };
+
+    // Blends currently written into the matches, so they can be removed before re-applying
+    static applied = [];
+
+    // Weights actually used per blend for upcoming matches; differs from the stored ones for fitted blends
+    static effectiveWeights = {};
+
+    static FIT_ITERATIONS = 200;
+
+    // EM steps per day of a walk-forward fit, which starts from the previous day's weights
+    static REFIT_ITERATIONS = 20;
+
+    static getAll() {
+        try {
+            const values = JSON.parse(localStorage.getItem(EnsembleManager.STORAGE_KEY));
+            return values ? values : {};
+        } catch {
+            return {};
+        }
+    }
+
+    static save(name, ensemble) {
+        const ensembles = EnsembleManager.getAll();
+        ensembles[name] = { ...ensemble };
+        localStorage.setItem(EnsembleManager.STORAGE_KEY, JSON.stringify(ensembles));
+    }
+
+    static load(name) {
+        return EnsembleManager.getAll()[name] || null;
+    }
+
+    static delete(name) {
+        const ensembles = EnsembleManager.getAll();
+        delete ensembles[name];
+        localStorage.setItem(EnsembleManager.STORAGE_KEY, JSON.stringify(ensembles));
+    }
+
+    static getNames() {
+        return Object.keys(EnsembleManager.getAll()).sort();
+    }
+
+    /**
+     * Scale weights of the given models to sum to 1, dropping non-positive ones
+     * @param {Object} weights - Weights keyed by model
+     * @param {Array<string>} models - Models to keep
+     * @returns {Object} Normalised weights, empty when nothing is left
+     */
+    static normaliseWeights(weights, models = Object.keys(weights)) {
+        const kept = models.filter(model => weights[model] > 0);
+        const total = kept.reduce((sum, model) => sum + weights[model], 0);
+        return total > 0 ? Object.fromEntries(kept.map(model => [model, weights[model] / total])) : {};
+    }
+
+    /**
+     * Blend the predictions of one match
+     * @param {Object} predictions - Normalised predictions keyed by model
+     * @param {Object} weights - Weights keyed by model
+     * @param {string} method - "average", "log-linear" or "fitted"
+     * @returns {Object|null} Blended prediction, null when no member predicted the match
+     */
+    static blend(predictions, weights, method) {
+        const withProbs = EnsembleManager.normaliseWeights(weights, Object.keys(weights).filter(model =>
+            predictions[model] && ['home', 'draw', 'away'].every(key => Number.isFinite(predictions[model][key]))));
+        const members = Object.keys(withProbs);
+        if (!members.length) return null;
+
+        let probs;
+        if (method === 'log-linear') {
+            const logs = ['home', 'draw', 'away'].map(key => members.reduce((sum, model) =>
+                sum + withProbs[model] * Math.log(Math.max(predictions[model][key], Metrics.EPSILON)), 0));
+            probs = logs.map(Math.exp);
+        } else {
+            probs = ['home', 'draw', 'away'].map(key => members.reduce((sum, model) => sum + withProbs[model] * predictions[model][key], 0));
+        }
+        const normalised = Metrics.normalise(probs);
+        if (!normalised) return null;
+        const [home, draw, away] = normalised;
+
+        const withGoals = EnsembleManager.normaliseWeights(weights, Object.keys(weights).filter(model =>
+            predictions[model] && Number.isFinite(predictions[model].homeGoals) && Number.isFinite(predictions[model].awayGoals)));
+        const goalMembers = Object.keys(withGoals);
+        const goals = key => goalMembers.length
+            ? goalMembers.reduce((sum, model) => sum + withGoals[model] * predictions[model][key], 0)
+            : null;
+
+        return { home, draw, away, homeGoals: goals('homeGoals'), awayGoals: goals('awayGoals') };
+    }
+
+    /**
+     * Fit linear-pool weights that minimise log loss on resolved matches. Uses the EM update for
+     * mixture weights, which keeps them on the simplex and never increases the loss.
+     * @param {Array<Array<number>>} rows - Per resolved match, each member's probability of the actual result
+     * @param {Array<string>} models - Member models, in row order
+     * @param {Array<number>} start - Weights to start from, in row order; equal weights by default
+     * @param {number} iterations - EM steps
+     * @returns {Object} Weights keyed by model, the start weights without usable history
+     */
+    static fitWeights(rows, models, start = models.map(() => 1 / models.length), iterations = EnsembleManager.FIT_ITERATIONS) {
+        let weights = start;
+        if (!rows.length) return Object.fromEntries(models.map((model, i) => [model, weights[i]]));
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const responsibilities = models.map(() => 0);
+            rows.forEach(row => {
+                const mixture = row.reduce((sum, p, i) => sum + weights[i] * p, 0);
+                row.forEach((p, i) => { responsibilities[i] += weights[i] * p / mixture; });
+            });
+            weights = responsibilities.map(r => r / rows.length);
+        }
+        return Object.fromEntries(models.map((model, i) => [model, weights[i]]));
+    }
+
+    /**
+     * Walk-forward weights of a fitted blend: a match is blended with weights fitted on the
+     * matches resolved before its day, so fitting never sees the results it is scored on
+     * @param {Array} matches - Matches; only resolved ones predicted by every member are fitted on
+     * @param {Array<string>} models - Member models
+     * @returns {Function} (match) => normalised weights; undated matches and null get the fit on all results
+     */
+    static fitByDate(matches, models) {
+        const history = matches
+            .filter(match => MatchModel.isCompleted(match) && MatchModel.getDateKey(match) && models.every(model => match.predictions[model]))
+            .map(match => {
+                const actual = ['1', 'X', '2'].indexOf(Settlement.getResult(MatchModel.getScore(match)));
+                const key = ['home', 'draw', 'away'][actual];
+                return { dateKey: MatchModel.getDateKey(match), row: models.map(model => Math.max(match.predictions[model][key], Metrics.EPSILON)) };
+            })
+            .filter(entry => entry.row.every(Number.isFinite))
+            .sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+
+        // Weights per day with results, fitted on the days before it
+        const byDay = new Map();
+        let fit = EnsembleManager.fitWeights([], models);
+        history.forEach((entry, i) => {
+            if (byDay.has(entry.dateKey)) return;
+            const rows = history.slice(0, i).map(earlier => earlier.row);
+            fit = EnsembleManager.fitWeights(rows, models, models.map(model => fit[model]), EnsembleManager.REFIT_ITERATIONS);
+            byDay.set(entry.dateKey, EnsembleManager.normaliseWeights(fit));
+        });
+        const latest = EnsembleManager.normaliseWeights(EnsembleManager.fitWeights(history.map(entry => entry.row), models));
+        const days = [...byDay.keys()];
+
+        return match => {
+            const dateKey = match ? MatchModel.getDateKey(match) : '';
+            if (!dateKey) return latest;
+            if (byDay.has(dateKey)) return byDay.get(dateKey);
+            // A day without results uses the fit of the next day with results, or the latest fit
+            const next = days.find(day => day > dateKey);
+            return next ? byDay.get(next) : latest;
+        };
+    }
+
+    /**
+     * Suggestions a blend makes: those proposed by members holding at least half the weight
+     * @param {Object} modelSuggestions - API suggestions keyed by model
+     * @param {Object} weights - Normalised weights keyed by model
+     * @returns {Array} Suggestion groups in the API's model-suggestions shape
+     */
+    static voteSuggestions(modelSuggestions, weights) {
+        const groups = {};
+        Object.entries(weights).forEach(([model, weight]) => {
+            (modelSuggestions[model] || []).forEach(group => {
+                const type = group['suggestion-type'];
+                groups[type] = groups[type] || {};
+                group['suggestions'].forEach(s => {
+                    const key = `${s['pType']}|${s['suggestion']}`;
+                    groups[type][key] = groups[type][key] || { suggestion: s, weight: 0 };
+                    groups[type][key].weight += weight;
+                });
+            });
+        });
+        return Object.entries(groups).map(([type, votes]) => ({
+            'suggestion-type': type,
+            'suggestions': Object.values(votes).filter(v => v.weight >= 0.5 - 1e-9).map(v => ({ ...v.suggestion }))
+        }));
+    }
+
+    /**
+     * Write every stored blend into the matches and the metrics data, replacing earlier ones
+     * @param {Array} matches - All matches
+     * @param {Object} metricsData - Metrics data from the API, keyed by division
+     * @param {Function} getDivisionKey - Metrics key of a match's division
+     */
+    static apply(matches, metricsData, getDivisionKey) {
+        EnsembleManager.applied.forEach(name => {
+            matches.forEach(match => {
+                delete match.predictions[name];
+                delete match.modelSuggestions[name];
+            });
+            Object.values(metricsData || {}).forEach(entry => { if (entry.metrics) delete entry.metrics[name]; });
+        });
+        EnsembleManager.applied = [];
+        EnsembleManager.effectiveWeights = {};
+
+        Object.entries(EnsembleManager.getAll()).forEach(([name, ensemble]) => {
+            const models = Object.keys(ensemble.weights || {});
+            const fixed = EnsembleManager.normaliseWeights(ensemble.weights || {});
+            const getWeights = ensemble.method === 'fitted' ? EnsembleManager.fitByDate(matches, models) : () => fixed;
+            const weights = getWeights(null);
+            if (!Object.keys(weights).length) return;
+
+            matches.forEach(match => {
+                const matchWeights = getWeights(match);
+                const prediction = EnsembleManager.blend(match.predictions, matchWeights, ensemble.method);
+                if (!prediction) return;
+                match.predictions[name] = prediction;
+                match.modelSuggestions[name] = EnsembleManager.voteSuggestions(match.modelSuggestions, matchWeights);
+            });
+            if (metricsData) EnsembleManager.addMetrics(matches, name, metricsData, getDivisionKey);
+            EnsembleManager.applied.push(name);
+            EnsembleManager.effectiveWeights[name] = weights;
+        });
+    }
+
+    /**
+     * Count settled suggestions of a blend per division in the API's metrics shape
+     * ({pType: correct, t<pType>: total}), so tooltips and charts can use them
+     * @param {Array} matches - All matches
+     * @param {string} name - Blend name
+     * @param {Object} metricsData - Metrics data from the API, keyed by division
+     * @param {Function} getDivisionKey - Metrics key of a match's division
+     */
+    static addMetrics(matches, name, metricsData, getDivisionKey) {
+        const pTypes = new Set((metricsData['chart-groupings'] || []).flatMap(chart => chart.grouping));
+        matches.forEach(match => (match.modelSuggestions[name] || [])
+            .forEach(group => group['suggestions'].forEach(s => pTypes.add(s['pType']))));
+
+        const empty = () => Object.fromEntries([...pTypes].flatMap(type => [[type, 0], ['t' + type, 0]]));
+        Object.values(metricsData).forEach(entry => { if (entry.metrics) entry.metrics[name] = empty(); });
+
+        matches.filter(match => MatchModel.isCompleted(match)).forEach(match => {
+            const targets = [metricsData['overall'], metricsData[getDivisionKey(match)]]
+                .filter(entry => entry && entry.metrics)
+                .map(entry => entry.metrics[name]);
+            (match.modelSuggestions[name] || []).forEach(group => group['suggestions'].forEach(s => {
+                const isCorrect = Settlement.isCorrect(settleModelSuggestion(match, s));
+                if (isCorrect === undefined) return;
+                targets.forEach(metrics => {
+                    metrics['t' + s['pType']]++;
+                    if (isCorrect) metrics[s['pType']]++;
+                });
+            }));
+        });
+    }
+
+    /**
+     * Wire the ensemble editor modal
+     */
+    setupEnsembleEventListeners() {
+        const modal = document.getElementById('ensemble-modal');
+        const ensembleSelect = document.getElementById('ensemble-select');
+        const methodSelect = document.getElementById('ensemble-method');
+
+        methodSelect.innerHTML = Object.entries(EnsembleManager.METHODS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+        document.getElementById('open-ensembles').addEventListener('click', () => {
+            this.updateEnsembleList();
+            this.fillForm(ensembleSelect.value);
+            modal.classList.remove('hidden');
+        });
+
+        document.getElementById('close-ensemble').addEventListener('click', () => {
+            modal.classList.add('hidden');
+        });
+
+        ensembleSelect.addEventListener('change', () => this.fillForm(ensembleSelect.value));
+        methodSelect.addEventListener('change', () => this.updateWeightInputs());
+
+        document.getElementById('confirm-save-ensemble').addEventListener('click', () => {
+            const name = document.getElementById('ensemble-name').value.trim();
+            const error = this.validate(name);
+            this.showError(error);
+            if (error) return;
+
+            EnsembleManager.save(name, { method: methodSelect.value, weights: this.readWeights() });
+            this.appManager.refreshEnsembles();
+            this.updateEnsembleList(name);
+            this.fillForm(name);
+        });
+
+        document.getElementById('delete-ensemble').addEventListener('click', () => {
+            const selected = ensembleSelect.value;
+            if (!selected) return;
+            EnsembleManager.delete(selected);
+            this.appManager.refreshEnsembles();
+            this.updateEnsembleList();
+            this.fillForm('');
+        });
+    }
+
+    updateEnsembleList(selected) {
+        const ensembleSelect = document.getElementById('ensemble-select');
+        ensembleSelect.innerHTML = `<option value="">New Ensemble</option>`;
+        EnsembleManager.getNames().forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            ensembleSelect.appendChild(opt);
+        });
+        if (selected)
+            ensembleSelect.value = selected;
+    }
+
+    /**
+     * Show a stored blend in the form, or an empty form for a new one
+     * @param {string} name - Blend name, empty for a new blend
+     */
+    fillForm(name) {
+        const ensemble = EnsembleManager.load(name) || { method: 'average', weights: {} };
+        const weights = EnsembleManager.effectiveWeights[name] || ensemble.weights;
+
+        document.getElementById('ensemble-name').value = name || '';
+        document.getElementById('ensemble-method').value = ensemble.method;
+        document.getElementById('ensemble-weights').innerHTML = this.getBaseModels().map(model => `
+            <label class="ensemble__weight">
+                <input type="checkbox" class="ensemble__member" value="${model}" ${model in ensemble.weights ? 'checked' : ''}>
+                <span>${model}</span>
+                <input type="number" class="form-control ensemble__value" data-model="${model}" min="0" step="0.05"
+                    value="${model in weights ? +weights[model].toFixed(3) : 1}">
+            </label>
+        `).join('');
+        this.showError('');
+        this.updateWeightInputs();
+    }
+
+    // Fitted blends ignore the typed weights; the inputs then show the fit on all results
+    updateWeightInputs() {
+        const fitted = document.getElementById('ensemble-method').value === 'fitted';
+        document.querySelectorAll('.ensemble__value').forEach(input => { input.disabled = fitted; });
+    }
+
+    readWeights() {
+        const weights = {};
+        document.querySelectorAll('.ensemble__member:checked').forEach(box => {
+            const value = parseFloat(document.querySelector(`.ensemble__value[data-model="${box.value}"]`).value);
+            weights[box.value] = Number.isFinite(value) && value >= 0 ? value : 0;
+        });
+        return weights;
+    }
+
+    /**
+     * Check the form before saving
+     * @param {string} name - Blend name
+     * @returns {string} Error message, empty when valid
+     */
+    validate(name) {
+        const weights = this.readWeights();
+        if (!name) return 'Give the ensemble a name.';
+        if (this.getBaseModels().includes(name)) return `"${name}" is already a model name.`;
+        if (Object.keys(weights).length < 2) return 'Pick at least two models.';
+        if (document.getElementById('ensemble-method').value !== 'fitted' &&
+            !Object.keys(EnsembleManager.normaliseWeights(weights)).length) return 'At least one weight must be above 0.';
+        return '';
+    }
+
+    showError(message) {
+        const errorEl = document.getElementById('ensemble-error');
+        errorEl.textContent = message;
+        errorEl.classList.toggle('hidden', !message);
+    }
+
+    // Models from the API, i.e. every model that is not a blend
+    getBaseModels() {
+        const models = new Set();
+        this.appManager.state.allMatches.forEach(match => Object.keys(match.predictions).forEach(model => models.add(model)));
+        EnsembleManager.applied.forEach(name => models.delete(name));
+        return [...models].sort();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnsembleManager;
+} else {
+    window.EnsembleManager = EnsembleManager;
+}
@@ -0,0 +1,364 @@
+/**
+ * Query Module - Expression language for filtering matches by model predictions
+ *
+ * Replaces the old `q:` eval() search with a small parser and evaluator.
+ *
+ *   Fields        .H .A (expected goals), .1 .X .2 (probabilities), .pick ("1", "X" or "2")
+ *   Numbers       2, 0.8, .8 (.1 and .2 are the fields; write 0.1 and 0.2)
+ *   Models        @xgboost.H, @combined-xgboost.1
+ *   Quantifiers   any(expr), all(expr), none(expr), count(expr)
+ *   Aggregates    min(expr), max(expr), avg(expr), sum(expr)
+ *   Selection     any[xgboost, combined-*](expr)  - restrict a quantifier to some models
+ *   Functions     abs(x), round(x), floor(x), ceil(x)
+ *   Operators     + - * / %, == != < <= > >=, and or not (&& || ! also accepted)
+ *
+ * Example: q: any(.1 > 0.8 or .2 > 0.8) and @poisson.H + @poisson.A > 2.5
+ */
+
+class QuerySyntaxError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {number} position - Zero-based offset in the query
+     */
+    constructor(message, position) {
+        super(`${message} (at column ${position + 1})`);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+class QueryLanguage {
+    static FIELDS = {
+        'H': prediction => prediction.homeGoals,
+        'A': prediction => prediction.awayGoals,
+        '1': prediction => prediction.home,
+        'X': prediction => prediction.draw,
+        '2': prediction => prediction.away,
+        'pick': prediction => [['1', prediction.home], ['X', prediction.draw], ['2', prediction.away]]
+            .reduce((a, b) => a[1] >= b[1] ? a : b)[0]
+    };
+
+    static QUANTIFIERS = {
+        any: values => values.some(Boolean),
+        all: values => values.length > 0 && values.every(Boolean),
+        none: values => !values.some(Boolean),
+        count: values => values.filter(Boolean).length,
+        min: values => values.length ? Math.min(...values) : NaN,
+        max: values => values.length ? Math.max(...values) : NaN,
+        sum: values => values.reduce((a, b) => a + b, 0),
+        avg: values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : NaN
+    };
+
+    static FUNCTIONS = {
+        abs: Math.abs,
+        round: Math.round,
+        floor: Math.floor,
+        ceil: Math.ceil
+    };
+
+    static KEYWORDS = { and: 'AND', or: 'OR', not: 'NOT', true: 'TRUE', false: 'FALSE' };
+
+    /**
+     * Compile a query into a predicate over a match's model predictions
+     * @param {string} source - Query text (without the `q:` prefix)
+     * @returns {Function} (models) => boolean
+     * @throws {QuerySyntaxError} When the query cannot be parsed
+     */
+    static compile(source) {
+        const parser = new QueryParser(QueryLanguage.tokenize(source));
+        const ast = parser.parse();
+        const predicate = models => Boolean(QueryLanguage.evaluate(ast, { models: models || {}, current: null }));
+        predicate.source = source;
+        return predicate;
+    }
+
+    /**
+     * Check whether a query parses
+     * @param {string} source - Query text
+     * @returns {boolean} True when the query is valid
+     */
+    static isValid(source) {
+        try {
+            QueryLanguage.compile(source);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Split a query into tokens
+     * @param {string} source - Query text
+     * @returns {Array} Tokens of shape {type, value, position}
+     */
+    static tokenize(source) {
+        const tokens = [];
+        const patterns = [
+            ['SPACE', /^\s+/],
+            ['NUMBER', /^(\d+(\.\d+)?|\.(?![12]\b)\d+)/],
+            ['STRING', /^"[^"]*"|^'[^']*'/],
+            ['FIELD', /^\.[A-Za-z0-9_]+/],
+            ['MODEL', /^@[A-Za-z0-9_][A-Za-z0-9_-]*/],
+            ['IDENT', /^[A-Za-z_][A-Za-z0-9_*-]*/],
+            ['OP', /^(==|!=|<=|>=|&&|\|\||[-+*\/%<>!(),\[\]])/]
+        ];
+        let position = 0;
+        while (position < source.length) {
+            const rest = source.slice(position);
+            const matched = patterns.find(([, regex]) => regex.test(rest));
+            if (!matched) throw new QuerySyntaxError(`Unexpected character '${rest[0]}'`, position);
+
+            const [type, regex] = matched;
+            const text = rest.match(regex)[0];
+            if (type === 'NUMBER') tokens.push({ type, value: parseFloat(text), position });
+            else if (type === 'STRING') tokens.push({ type, value: text.slice(1, -1), position });
+            else if (type === 'FIELD') tokens.push({ type, value: text.slice(1), position });
+            else if (type === 'MODEL') tokens.push({ type, value: text.slice(1), position });
+            else if (type === 'IDENT') tokens.push({ type: QueryLanguage.KEYWORDS[text] || type, value: text, position });
+            else if (type === 'OP') tokens.push({ type: { '&&': 'AND', '||': 'OR', '!': 'NOT' }[text] || text, value: text, position });
+            position += text.length;
+        }
+        tokens.push({ type: 'EOF', value: '', position });
+        return tokens;
+    }
+
+    /**
+     * Evaluate a parsed expression
+     * @param {Object} node - AST node
+     * @param {Object} scope - {models, current} where current is the model in a quantifier
+     * @returns {*} Expression value
+     */
+    static evaluate(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'field':
+                return QueryLanguage.readField(scope.current, node.name);
+            case 'model':
+                return QueryLanguage.readField(scope.models[node.name], node.field);
+            case 'not':
+                return !QueryLanguage.evaluate(node.operand, scope);
+            case 'negate':
+                return -QueryLanguage.evaluate(node.operand, scope);
+            case 'and':
+                return QueryLanguage.evaluate(node.left, scope) && QueryLanguage.evaluate(node.right, scope);
+            case 'or':
+                return QueryLanguage.evaluate(node.left, scope) || QueryLanguage.evaluate(node.right, scope);
+            case 'binary':
+                return QueryLanguage.applyOperator(node.operator, QueryLanguage.evaluate(node.left, scope), QueryLanguage.evaluate(node.right, scope));
+            case 'call':
+                return QueryLanguage.FUNCTIONS[node.name](...node.args.map(arg => QueryLanguage.evaluate(arg, scope)));
+            case 'quantifier': {
+                const values = QueryLanguage.selectModels(scope.models, node.selection)
+                    .map(prediction => QueryLanguage.evaluate(node.body, { models: scope.models, current: prediction }))
+                    .filter(value => !(typeof value === 'number' && isNaN(value)));
+                return QueryLanguage.QUANTIFIERS[node.name](values);
+            }
+            default:
+                throw new Error(`Unknown query node '${node.type}'`);
+        }
+    }
+
+    static readField(prediction, field) {
+        if (!prediction) return NaN;
+        const value = QueryLanguage.FIELDS[field](prediction);
+        return value === undefined || value === null ? NaN : value;
+    }
+
+    static applyOperator(operator, left, right) {
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '==': return left === right;
+            case '!=': return left !== right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+        }
+    }
+
+    /**
+     * Resolve a quantifier's model selection, supporting `*` wildcards
+     * @param {Object} models - Model predictions keyed by model name
+     * @param {Array|null} selection - Model name patterns, or null for every model
+     * @returns {Array} Selected predictions
+     */
+    static selectModels(models, selection) {
+        const entries = Object.entries(models);
+        if (!selection) return entries.map(([, prediction]) => prediction);
+        const patterns = selection.map(name => new RegExp(`^${name.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`));
+        return entries
+            .filter(([model]) => patterns.some(pattern => pattern.test(model)))
+            .map(([, prediction]) => prediction);
+    }
+}
+
+/**
+ * Recursive descent parser producing the AST consumed by QueryLanguage.evaluate
+ */
+class QueryParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.quantifierDepth = 0;
+    }
+
+    parse() {
+        if (this.peek().type === 'EOF') throw new QuerySyntaxError('Empty query', 0);
+        const ast = this.parseOr();
+        if (this.peek().type !== 'EOF') this.fail(`Unexpected '${this.peek().value}'`);
+        return ast;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    accept(type) {
+        if (this.peek().type === type) return this.next();
+        return null;
+    }
+
+    expect(type) {
+        if (this.peek().type !== type) this.fail(`Expected '${type}' but found ${this.describe(this.peek())}`);
+        return this.next();
+    }
+
+    describe(token) {
+        return token.type === 'EOF' ? 'end of query' : `'${token.value}'`;
+    }
+
+    fail(message, token = this.peek()) {
+        throw new QuerySyntaxError(message, token.position);
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('OR')) left = { type: 'or', left, right: this.parseAnd() };
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.accept('AND')) left = { type: 'and', left, right: this.parseNot() };
+        return left;
+    }
+
+    parseNot() {
+        if (this.accept('NOT')) return { type: 'not', operand: this.parseNot() };
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        if (['==', '!=', '<', '<=', '>', '>='].includes(this.peek().type)) {
+            const operator = this.next().type;
+            return { type: 'binary', operator, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (['+', '-'].includes(this.peek().type)) {
+            const operator = this.next().type;
+            left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (['*', '/', '%'].includes(this.peek().type)) {
+            const operator = this.next().type;
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.accept('-')) return { type: 'negate', operand: this.parseUnary() };
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        switch (token.type) {
+            case 'NUMBER':
+            case 'STRING':
+                return { type: 'literal', value: token.value };
+            case 'TRUE':
+            case 'FALSE':
+                return { type: 'literal', value: token.type === 'TRUE' };
+            case 'FIELD':
+                this.checkField(token);
+                if (!this.quantifierDepth) this.fail(`Field '.${token.value}' must be used inside any(), all() or after a @model`, token);
+                return { type: 'field', name: token.value };
+            case 'MODEL': {
+                const field = this.expect('FIELD');
+                this.checkField(field);
+                return { type: 'model', name: token.value, field: field.value };
+            }
+            case '(': {
+                const expression = this.parseOr();
+                this.expect(')');
+                return expression;
+            }
+            case 'IDENT':
+                return this.parseCall(token);
+            default:
+                this.fail(`Unexpected ${this.describe(token)}`, token);
+        }
+    }
+
+    parseCall(token) {
+        const name = token.value;
+        if (QueryLanguage.QUANTIFIERS[name]) {
+            const selection = this.peek().type === '[' ? this.parseSelection() : null;
+            this.expect('(');
+            this.quantifierDepth++;
+            const body = this.parseOr();
+            this.quantifierDepth--;
+            this.expect(')');
+            return { type: 'quantifier', name, selection, body };
+        }
+        if (QueryLanguage.FUNCTIONS[name]) {
+            this.expect('(');
+            const args = [this.parseOr()];
+            while (this.accept(',')) args.push(this.parseOr());
+            this.expect(')');
+            return { type: 'call', name, args };
+        }
+        this.fail(`Unknown function '${name}'`, token);
+    }
+
+    parseSelection() {
+        this.expect('[');
+        const names = [this.expect('IDENT').value];
+        while (this.accept(',')) names.push(this.expect('IDENT').value);
+        this.expect(']');
+        return names;
+    }
+
+    checkField(token) {
+        if (!QueryLanguage.FIELDS[token.value]) {
+            this.fail(`Unknown field '.${token.value}', expected one of ${Object.keys(QueryLanguage.FIELDS).map(f => '.' + f).join(' ')}`, token);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QueryLanguage, QuerySyntaxError };
+} else {
+    window.QueryLanguage = QueryLanguage;
+    window.QuerySyntaxError = QuerySyntaxError;
+}
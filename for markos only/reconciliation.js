@@ -0,0 +1,320 @@
+/**
+ * Reconciliation Module - Manual results and statuses for unresolved matches
+ *
+ * Past matches the API has no final score for can be given one by hand or from a results
+ * CSV, or be marked postponed, abandoned or void (see MatchModel.STATUSES). Overrides are stored in localStorage under
+ * the match id, and every change is appended to an audit trail.
+ *
+ * Overrides are applied to the matches before the ensembles, so settlement, tooltips, the
+ * comparison and the charts all see them. A manual score also adds the match's settled
+ * suggestions to the metrics data in the API's shape ({pType: correct, t<pType>: total}).
+ * Only matches the API still lists as scheduled or live are overridden.
+ */
+
+class ResultOverrides {
+    constructor(appManager) {
+        this.appManager = appManager;
+    }
+
+    static STORAGE_KEY = 'football_result_overrides';
+
+    static AUDIT_KEY = 'football_result_audit';
+
+    // Statuses a match can be marked with, by MatchModel status
+    static STATUSES = {
+        [MatchModel.STATUSES.POSTPONED]: 'Postponed',
+        [MatchModel.STATUSES.ABANDONED]: 'Abandoned',
+        [MatchModel.STATUSES.VOID]: 'Void'
+    };
+
+    // Matches currently overridden with their API values, so overrides can be undone before re-applying
+    static applied = [];
+
+    static getAll() {
+        try {
+            const values = JSON.parse(localStorage.getItem(ResultOverrides.STORAGE_KEY));
+            return values ? values : {};
+        } catch {
+            return {};
+        }
+    }
+
+    static getAudit() {
+        try {
+            const values = JSON.parse(localStorage.getItem(ResultOverrides.AUDIT_KEY));
+            return values ? values : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Store or remove the override of a match and record the change
+     * @param {Object} match - Match data
+     * @param {Object|null} override - {homeScore, awayScore} or {status}; null removes it
+     * @param {string} source - Where the change came from, e.g. "manual" or "CSV results.csv"
+     */
+    static set(match, override, source) {
+        const overrides = ResultOverrides.getAll();
+        const before = overrides[match.id] || null;
+        if (override) overrides[match.id] = { ...override, updatedAt: new Date().toISOString() };
+        else delete overrides[match.id];
+        localStorage.setItem(ResultOverrides.STORAGE_KEY, JSON.stringify(overrides));
+
+        const audit = ResultOverrides.getAudit();
+        audit.push({
+            at: new Date().toISOString(),
+            matchId: match.id,
+            match: `${match.home} - ${match.away}`,
+            from: ResultOverrides.describe(before),
+            to: ResultOverrides.describe(override),
+            source
+        });
+        localStorage.setItem(ResultOverrides.AUDIT_KEY, JSON.stringify(audit));
+    }
+
+    /**
+     * Short text of an override, as shown in the audit trail
+     * @param {Object|null} override - Override
+     * @returns {string} e.g. "2 - 1", "Postponed" or "API" when there is none
+     */
+    static describe(override) {
+        if (!override) return 'API';
+        if (override.status) return ResultOverrides.STATUSES[override.status] || override.status;
+        return `${override.homeScore} - ${override.awayScore}`;
+    }
+
+    /**
+     * Write the stored overrides into the matches and the metrics data, undoing the previous run first
+     * @param {Array} matches - All matches
+     * @param {Object} metricsData - Metrics data from the API, keyed by division
+     * @param {Function} getDivisionKey - Metrics key of a match's division
+     */
+    static apply(matches, metricsData, getDivisionKey) {
+        ResultOverrides.applied.forEach(({ match, homeScore, awayScore, status }) => {
+            if (metricsData) ResultOverrides.countMetrics(match, metricsData, getDivisionKey, -1);
+            Object.assign(match, { homeScore, awayScore, status });
+        });
+        ResultOverrides.applied = [];
+
+        const overrides = ResultOverrides.getAll();
+        matches.forEach(match => {
+            const override = overrides[match.id];
+            if (!override || !MatchModel.isPending(match)) return;
+            ResultOverrides.applied.push({ match, homeScore: match.homeScore, awayScore: match.awayScore, status: match.status });
+            if (override.status) {
+                match.status = override.status;
+            } else {
+                match.homeScore = override.homeScore;
+                match.awayScore = override.awayScore;
+                match.status = MatchModel.STATUSES.FINISHED;
+                if (metricsData) ResultOverrides.countMetrics(match, metricsData, getDivisionKey, 1);
+            }
+        });
+    }
+
+    /**
+     * Add (or with -1 remove) a match's settled suggestions to the metrics of every base model.
+     * Ensembles are left out: their metrics are recounted from the matches when they are applied.
+     * @param {Object} match - Match with a final score
+     * @param {Object} metricsData - Metrics data, keyed by division
+     * @param {Function} getDivisionKey - Metrics key of a match's division
+     * @param {number} sign - 1 to add, -1 to remove
+     */
+    static countMetrics(match, metricsData, getDivisionKey, sign) {
+        const entries = [metricsData['overall'], metricsData[getDivisionKey(match)]].filter(entry => entry && entry.metrics);
+        Object.entries(match.modelSuggestions)
+            .filter(([model]) => !EnsembleManager.applied.includes(model))
+            .forEach(([model, groups]) => groups.forEach(group => group['suggestions'].forEach(s => {
+                const isCorrect = Settlement.isCorrect(settleModelSuggestion(match, s));
+                if (isCorrect === undefined) return;
+                entries.forEach(entry => {
+                    const metrics = entry.metrics[model] = entry.metrics[model] || {};
+                    metrics['t' + s['pType']] = (metrics['t' + s['pType']] || 0) + sign;
+                    if (isCorrect) metrics[s['pType']] = (metrics[s['pType']] || 0) + sign;
+                });
+            })));
+    }
+
+    /**
+     * Read final scores from a results CSV. Rows are matched on MatchId, or on Date, Home and
+     * Away; scores come from FTHG/FTAG and an optional Status column marks postponed,
+     * abandoned or void matches.
+     * @param {string} text - CSV text
+     * @param {Array} matches - Matches that can be reconciled
+     * @returns {Object} {updates: [{match, override}], rejected: [{index, errors}]}
+     */
+    static parseResultsCsv(text, matches) {
+        const rows = Importer.parseCsv(text.replace(/^﻿/, ''));
+        const value = (row, ...names) => {
+            const key = Object.keys(row).find(column => names.includes(Importer.normaliseName(column)));
+            return key ? row[key].trim() : '';
+        };
+        const toDateKey = date => {
+            const [, d, m, y] = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/) || [];
+            return d ? `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}` : date.slice(0, 10);
+        };
+
+        const updates = [];
+        const rejected = [];
+        rows.forEach((row, index) => {
+            const id = value(row, 'matchid', 'id');
+            const date = toDateKey(value(row, 'date'));
+            const home = value(row, 'home', 'hometeam');
+            const away = value(row, 'away', 'awayteam');
+            const match = id
+                ? matches.find(m => m.id === id)
+                : matches.find(m => MatchModel.getDateKey(m) === date && TeamAliases.isSame(m.home, home) && TeamAliases.isSame(m.away, away));
+            if (!match) {
+                rejected.push({ index, errors: [`no unresolved match ${id || `${date} ${home} - ${away}`}`] });
+                return;
+            }
+
+            const text = value(row, 'status');
+            const status = text && MatchModel.parseStatus(text);
+            if (ResultOverrides.STATUSES[status]) {
+                updates.push({ match, override: { status } });
+                return;
+            }
+            if (status && status !== MatchModel.STATUSES.FINISHED && status !== MatchModel.STATUSES.AWARDED) {
+                rejected.push({ index, errors: [`status "${text}" is not finished, awarded, postponed, abandoned or void`] });
+                return;
+            }
+            const homeScore = value(row, 'fthg', 'homescore');
+            const awayScore = value(row, 'ftag', 'awayscore');
+            if (!/^\d+$/.test(homeScore) || !/^\d+$/.test(awayScore)) {
+                rejected.push({ index, errors: [`scores should be whole numbers, got "${homeScore}" and "${awayScore}"`] });
+                return;
+            }
+            updates.push({ match, override: { homeScore: parseInt(homeScore, 10), awayScore: parseInt(awayScore, 10) } });
+        });
+        return { updates, rejected };
+    }
+
+    /**
+     * Wire the reconciliation controls of the Unresolved tab
+     */
+    setupReconcileEventListeners() {
+        // Card controls are re-rendered with the cards, so delegate from the tab
+        const panel = document.getElementById('unresolved');
+        panel.addEventListener('click', (e) => {
+            const form = e.target.closest('.reconcile');
+            const match = form && this.getMatch(form.closest('.match-card').dataset.id);
+            if (!match) return;
+            if (e.target.classList.contains('reconcile__save-score')) {
+                const homeScore = form.querySelector('.reconcile__home').value;
+                const awayScore = form.querySelector('.reconcile__away').value;
+                if (!/^\d+$/.test(homeScore) || !/^\d+$/.test(awayScore)) {
+                    this.showMessage('Enter both scores as whole numbers', true);
+                    return;
+                }
+                ResultOverrides.set(match, { homeScore: parseInt(homeScore, 10), awayScore: parseInt(awayScore, 10) }, 'manual');
+                this.refresh();
+            } else if (e.target.classList.contains('reconcile__save-status')) {
+                ResultOverrides.set(match, { status: form.querySelector('.reconcile__status').value }, 'manual');
+                this.refresh();
+            }
+        });
+
+        document.getElementById('reconcile-log').addEventListener('click', (e) => {
+            const id = e.target.dataset.revert;
+            const match = id && this.getMatch(id);
+            if (!match) return;
+            ResultOverrides.set(match, null, 'manual');
+            this.refresh();
+        });
+
+        document.getElementById('reconcile-csv').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            const unresolved = this.appManager.dataManager.categorizeMatches(this.appManager.state.allMatches).unresolved;
+            const { updates, rejected } = ResultOverrides.parseResultsCsv(await file.text(), unresolved);
+            updates.forEach(({ match, override }) => ResultOverrides.set(match, override, `CSV ${file.name}`));
+            this.refresh();
+            const details = rejected.map(r => `Row ${r.index + 1}: ${r.errors.join('; ')}`);
+            this.showMessage([`${updates.length} match${updates.length === 1 ? '' : 'es'} reconciled from ${file.name}`, ...details].join('\n'), rejected.length > 0);
+        });
+
+        this.renderLog();
+    }
+
+    getMatch(id) {
+        return this.appManager.state.allMatches.find(m => m.id == id);
+    }
+
+    /**
+     * Re-apply the overrides and redraw everything that depends on results
+     */
+    refresh() {
+        ResultOverrides.apply(this.appManager.state.allMatches, METRICS_DATA, getMetricsDivisionKey);
+        this.appManager.refreshEnsembles();
+        document.getElementById('reconcile-message').classList.add('hidden');
+        this.renderLog();
+    }
+
+    /**
+     * Render the current overrides (with revert buttons) and the audit trail, newest first
+     */
+    renderLog() {
+        const log = document.getElementById('reconcile-log');
+        if (!log) return;
+        const overrides = Object.entries(ResultOverrides.getAll());
+        const audit = ResultOverrides.getAudit().slice().reverse();
+        const label = id => {
+            const match = this.getMatch(id);
+            return Utils.escapeHtml(match ? `${match.home} - ${match.away} (${Utils.formatDate(match.date)})` : id);
+        };
+
+        document.getElementById('reconcile-count').textContent = overrides.length;
+        log.innerHTML = `
+            <table class="odds-table">
+                <thead><tr><th>Match</th><th>Override</th><th>Since</th><th></th></tr></thead>
+                <tbody>
+                    ${overrides.map(([id, override]) => `
+                        <tr>
+                            <td>${label(id)}</td>
+                            <td>${Utils.escapeHtml(ResultOverrides.describe(override))}</td>
+                            <td>${new Date(override.updatedAt).toLocaleString()}</td>
+                            <td><button class="btn btn--sm btn--outline" data-revert="${Utils.escapeHtml(id)}">Revert</button></td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="4">No overrides</td></tr>'}
+                </tbody>
+            </table>
+            <div class="match-card__predictions-title reconcile__audit-title">Audit Trail</div>
+            <table class="odds-table">
+                <thead><tr><th>When</th><th>Match</th><th>From</th><th>To</th><th>Source</th></tr></thead>
+                <tbody>
+                    ${audit.map(entry => `
+                        <tr>
+                            <td>${new Date(entry.at).toLocaleString()}</td>
+                            <td>${Utils.escapeHtml(entry.match)}</td>
+                            <td>${Utils.escapeHtml(entry.from)}</td>
+                            <td>${Utils.escapeHtml(entry.to)}</td>
+                            <td>${Utils.escapeHtml(entry.source)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="5">No changes yet</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show the outcome of a reconciliation action above the log
+     * @param {string} message - Message, one line per entry
+     * @param {boolean} isError - Style as an error
+     */
+    showMessage(message, isError = false) {
+        const el = document.getElementById('reconcile-message');
+        el.textContent = message;
+        el.classList.toggle('filters__error', isError);
+        el.classList.remove('hidden');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultOverrides;
+} else {
+    window.ResultOverrides = ResultOverrides;
+}
@@ -0,0 +1,131 @@
+/**
+ * Head-to-Head Module - Earlier meetings of two teams and how the forecasts fared
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * Matches are indexed by unordered pair of canonical team ids (TeamAliases), so Arsenal -
+ * Chelsea and Chelsea - Arsenal share one entry whatever the feed's spelling. Searches of
+ * the form "Arsenal vs Chelsea" select the meetings of a pair.
+ */
+
+const HeadToHead = {
+    // Separators of a head-to-head search: "Arsenal vs Chelsea", "Arsenal v. Chelsea"
+    QUERY_SEPARATOR: /\s+vs?\.?\s+/i,
+
+    /**
+     * Key of a team pair, the same either way round
+     * @param {string} teamA - One team
+     * @param {string} teamB - The other team
+     * @returns {string} Pair key
+     */
+    getPairKey(teamA, teamB) {
+        return [TeamAliases.getId(teamA), TeamAliases.getId(teamB)].sort().join('\u0000');
+    },
+
+    /**
+     * Index matches by team pair
+     * @param {Array<Match>} matches - Normalised matches
+     * @returns {Map<string, Array<Match>>} Matches per pair key, oldest first
+     */
+    index(matches) {
+        const pairs = new Map();
+        matches.forEach(match => {
+            const key = this.getPairKey(match.home, match.away);
+            if (!pairs.has(key)) pairs.set(key, []);
+            pairs.get(key).push(match);
+        });
+        pairs.forEach(list => list.sort((a, b) => (a.date?.getTime() || 0) - (b.date?.getTime() || 0)));
+        return pairs;
+    },
+
+    /**
+     * Completed meetings of the two teams before a match, newest first
+     * @param {Map<string, Array<Match>>} index - Result of index()
+     * @param {Match} match - The match whose teams are looked up
+     * @returns {Array<Match>} Earlier meetings
+     */
+    getMeetings(index, match) {
+        return (index.get(this.getPairKey(match.home, match.away)) || [])
+            .filter(m => m.id !== match.id && MatchModel.isCompleted(m) && !(m.date && match.date && m.date >= match.date))
+            .reverse();
+    },
+
+    /**
+     * Outcome a prediction favours
+     * @param {Prediction} prediction - Model prediction
+     * @returns {Object|null} {result: '1' | 'X' | '2', probability}, null without probabilities
+     */
+    getPick(prediction) {
+        if (!prediction) return null;
+        return [['1', prediction.home], ['X', prediction.draw], ['2', prediction.away]]
+            .filter(([, probability]) => probability !== null && probability !== undefined)
+            .reduce((best, [result, probability]) => !best || probability > best.probability ? { result, probability } : best, null);
+    },
+
+    /**
+     * A meeting with the outcome a prediction favoured and whether it happened
+     * @param {Match} meeting - Completed match
+     * @param {Prediction} prediction - Prediction of the meeting
+     * @returns {Object} {match, result, pick, probability, correct}; pick, probability and correct are null without a prediction
+     */
+    review(meeting, prediction) {
+        const result = Settlement.getResult(MatchModel.getScore(meeting));
+        const pick = this.getPick(prediction);
+        return {
+            match: meeting,
+            result,
+            pick: pick ? pick.result : null,
+            probability: pick ? pick.probability : null,
+            correct: pick ? pick.result === result : null
+        };
+    },
+
+    /**
+     * Record of one team in a set of meetings
+     * @param {Array<Match>} meetings - Completed meetings
+     * @param {string} team - Team whose wins are counted
+     * @returns {Object} {played, wins, draws, losses, goalsFor, goalsAgainst}
+     */
+    summarise(meetings, team) {
+        return meetings.reduce((record, m) => {
+            const isHome = m.homeId === TeamAliases.getId(team);
+            const goalsFor = isHome ? m.homeScore : m.awayScore;
+            const goalsAgainst = isHome ? m.awayScore : m.homeScore;
+            record.played++;
+            record.goalsFor += goalsFor;
+            record.goalsAgainst += goalsAgainst;
+            if (goalsFor > goalsAgainst) record.wins++;
+            else if (goalsFor < goalsAgainst) record.losses++;
+            else record.draws++;
+            return record;
+        }, { played: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0 });
+    },
+
+    /**
+     * Read a head-to-head search
+     * @param {string} text - Search text, e.g. "arsenal vs chelsea"
+     * @returns {Array<string>|null} The two team terms, or null for any other search
+     */
+    parseQuery(text) {
+        const parts = String(text || '').split(this.QUERY_SEPARATOR).map(part => part.trim());
+        return parts.length === 2 && parts[0] && parts[1] ? parts : null;
+    },
+
+    /**
+     * Whether a match is between teams matching the two terms, either way round
+     * @param {Match} match - Match
+     * @param {Array<string>} terms - Result of parseQuery()
+     * @returns {boolean} True when each term finds one of the teams (TeamAliases.matches)
+     */
+    isBetween(match, terms) {
+        const [a, b] = terms;
+        return (TeamAliases.matches(match.home, a) && TeamAliases.matches(match.away, b))
+            || (TeamAliases.matches(match.home, b) && TeamAliases.matches(match.away, a));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadToHead;
+} else {
+    window.HeadToHead = HeadToHead;
+}
@@ -0,0 +1,265 @@
+/**
+ * Importer Module - Reads user supplied fixtures and predictions files
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * Two layouts are recognised: flat rows in the public feed schema (data.js), whose
+ * columns are mapped onto the schema fields, and nested records in the analyst
+ * `match-info` / `model-predictions` schema. CSV files in the analyst layout use
+ * dotted column names ("match-info.Home", "model-predictions.poisson.1"), as written
+ * by the Export module.
+ */
+
+const Importer = {
+    LAYOUTS: {
+        PUBLIC: 'public',
+        ANALYST: 'analyst'
+    },
+
+    MODES: {
+        MERGE: 'merge',
+        REPLACE: 'replace'
+    },
+
+    // Column names other feeds use for public schema fields, compared after normaliseName
+    ALIASES: {
+        home: ['hometeam'],
+        away: ['awayteam'],
+        home_score: ['fthg', 'homegoals'],
+        away_score: ['ftag', 'awaygoals'],
+        league: ['div', 'division'],
+        home_forecast: ['1', 'homewin'],
+        draw_forecast: ['x', 'draw'],
+        away_forecast: ['2', 'awaywin'],
+        home_goals_forecast: ['h', 'homexg'],
+        away_goals_forecast: ['a', 'awayxg'],
+        status: ['matchstatus', 'state']
+    },
+
+    ANALYST_SCHEMA: {
+        type: 'object',
+        required: ['match-info', 'model-predictions'],
+        properties: {
+            'match-info': {
+                type: 'object',
+                required: ['MatchId', 'Home', 'Away'],
+                properties: {
+                    MatchId: { type: 'string', minLength: 1 },
+                    Home: { type: 'string', minLength: 1 },
+                    Away: { type: 'string', minLength: 1 },
+                    FTHG: { type: ['number', 'null'], minimum: 0 },
+                    FTAG: { type: ['number', 'null'], minimum: 0 },
+                    Status: { type: ['string', 'null'] }
+                }
+            },
+            'model-predictions': { type: 'object' },
+            'model-suggestions': { type: 'object' }
+        }
+    },
+
+    PREDICTION_SCHEMA: {
+        type: 'object',
+        required: ['1', 'X', '2'],
+        properties: {
+            '1': { type: 'number', minimum: 0, maximum: 1 },
+            'X': { type: 'number', minimum: 0, maximum: 1 },
+            '2': { type: 'number', minimum: 0, maximum: 1 },
+            'H': { type: ['number', 'null'], minimum: 0 },
+            'A': { type: ['number', 'null'], minimum: 0 }
+        }
+    },
+
+    /**
+     * Parse the text of a CSV or JSON file
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, whose extension picks the parser
+     * @returns {Object} {layout, rows, columns}
+     */
+    parse(text, fileName = '') {
+        const content = text.replace(/^\uFEFF/, '');
+        const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(content);
+        let rows;
+        if (isJson) {
+            const parsed = JSON.parse(content);
+            // An analyst API response keeps the records under "model-predictions", keyed by MatchId
+            rows = Array.isArray(parsed) ? parsed
+                : parsed['model-predictions'] && !parsed['match-info'] ? Object.values(parsed['model-predictions'])
+                : [parsed];
+        } else {
+            rows = this.parseCsv(content);
+        }
+        rows = rows.filter(row => row !== null && typeof row === 'object');
+        if (!rows.length) throw new Error('The file contains no rows');
+
+        const columns = this.getColumns(rows);
+        if (columns.some(column => column.startsWith('match-info.'))) {
+            return { layout: this.LAYOUTS.ANALYST, rows: rows.map(row => this.unflatten(row)), columns };
+        }
+        const layout = rows.some(row => row['match-info']) ? this.LAYOUTS.ANALYST : this.LAYOUTS.PUBLIC;
+        return { layout, rows, columns };
+    },
+
+    /**
+     * Parse CSV into objects keyed by the header row. Handles quoted fields, doubled
+     * quotes, CRLF line ends and semicolon separated files.
+     * @param {string} text - CSV text
+     * @returns {Array<Object>} One object per data row, values as strings
+     */
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        const lines = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                lines.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) lines.push([...row, field]);
+
+        const [header = [], ...body] = lines.filter(line => line.some(value => value.trim() !== ''));
+        const names = header.map(name => name.trim());
+        return body.map(values => Object.fromEntries(names.map((name, i) => [name, values[i] ?? ''])));
+    },
+
+    /**
+     * Turn dotted keys back into nested objects; numeric strings become numbers
+     * @param {Object} row - Flat row
+     * @returns {Object} Nested record
+     */
+    unflatten(row) {
+        const record = {};
+        Object.entries(row).forEach(([key, value]) => {
+            const path = key.split('.');
+            const last = path.pop();
+            const target = path.reduce((node, part) => (node[part] = node[part] || {}), record);
+            target[last] = this.parseValue(value);
+        });
+        return record;
+    },
+
+    parseValue(value) {
+        if (typeof value !== 'string') return value;
+        const text = value.trim();
+        if (text === '') return null;
+        return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : value;
+    },
+
+    /**
+     * Every key appearing in the rows, in first-seen order. Nested objects count as dotted keys.
+     * @param {Array<Object>} rows - Parsed rows
+     * @returns {Array<string>} Column names
+     */
+    getColumns(rows) {
+        const columns = new Set();
+        const collect = (row, prefix) => Object.entries(row).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) collect(value, name);
+            else columns.add(name);
+        });
+        rows.forEach(row => collect(row, ''));
+        return [...columns];
+    },
+
+    normaliseName(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    },
+
+    /**
+     * Best guess of the column feeding each schema field, by name or known alias
+     * @param {Array<string>} columns - Source columns
+     * @param {Array<string>} fields - Schema fields
+     * @returns {Object<string, string>} Column per field, empty when none matches
+     */
+    guessMapping(columns, fields) {
+        const byName = {};
+        columns.forEach(column => {
+            // "predictions.published.home" is matched on its last part as well
+            [column, column.split('.').pop()].forEach(name => {
+                const key = this.normaliseName(name);
+                if (!(key in byName)) byName[key] = column;
+            });
+        });
+        const mapping = {};
+        fields.forEach(field => {
+            const names = [field, ...(this.ALIASES[field] || [])].map(name => this.normaliseName(name));
+            mapping[field] = byName[names.find(name => name in byName)] || '';
+        });
+        return mapping;
+    },
+
+    /**
+     * Build public schema records from mapped rows. Values become strings, as in the feed.
+     * @param {Array<Object>} rows - Parsed rows
+     * @param {Object<string, string>} mapping - Column per field
+     * @returns {Array<Object>} Records in the data.js schema
+     */
+    applyMapping(rows, mapping) {
+        return rows.map(row => {
+            const record = {};
+            Object.entries(mapping).forEach(([field, column]) => {
+                if (!column) return;
+                const value = column in row ? row[column] : column.split('.').reduce((node, part) => node?.[part], row);
+                record[field] = value === null || value === undefined ? '' : String(value).trim();
+            });
+            return record;
+        });
+    },
+
+    /**
+     * Validate analyst records: the schema plus every model's probabilities
+     * @param {Array<Object>} records - Nested records
+     * @returns {Object} {records, rejected: [{index, record, errors}]}
+     */
+    validateAnalyst(records) {
+        const valid = [];
+        const rejected = [];
+        records.forEach((record, index) => {
+            const errors = DataSource.validate(record, this.ANALYST_SCHEMA);
+            Object.entries(record['model-predictions'] || {}).forEach(([model, prediction]) => {
+                errors.push(...DataSource.validate(prediction, this.PREDICTION_SCHEMA, `record.model-predictions.${model}`));
+            });
+            if (errors.length) rejected.push({ index, record, errors });
+            else valid.push(record);
+        });
+        return { records: valid, rejected };
+    },
+
+    /**
+     * Combine imported matches with the current ones
+     * @param {Array<Match>} current - Matches already loaded
+     * @param {Array<Match>} imported - Imported matches
+     * @param {string} mode - One of MODES; merging replaces matches with the same id
+     * @returns {Array<Match>} Resulting matches
+     */
+    combine(current, imported, mode) {
+        if (mode === this.MODES.REPLACE) return [...imported];
+        const byId = new Map(current.map(match => [match.id, match]));
+        imported.forEach(match => byId.set(match.id, match));
+        return [...byId.values()];
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Importer;
+} else {
+    window.Importer = Importer;
+}
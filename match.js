@@ -0,0 +1,255 @@
+/**
+ * Match Module - One normalised match shape for both dashboards
+ *
+ * The public feed (data.js) uses flat string fields, the analyst API nests
+ * `match-info` / `model-predictions` with the date encoded in MatchId. Both are
+ * parsed into the same Match object so features and charts work on either.
+ *
+ * @typedef {Object} Prediction
+ * @property {number} home - Home win probability
+ * @property {number} draw - Draw probability
+ * @property {number} away - Away win probability
+ * @property {number} homeGoals - Expected home goals
+ * @property {number} awayGoals - Expected away goals
+ *
+ * @typedef {Object} Match
+ * @property {string} id - Stable identifier
+ * @property {string} country - Country name (public feed) or empty
+ * @property {string} league - League name, or the division code for analyst data
+ * @property {string} division - Division code, or the league name for public data
+ * @property {string} season - Season label, or empty
+ * @property {number|null} week - Matchweek, when known
+ * @property {Date|null} date - Kick-off date at local midnight
+ * @property {string} home - Home team
+ * @property {string} away - Away team
+ * @property {string} homeId - Canonical id of the home team (TeamAliases)
+ * @property {string} awayId - Canonical id of the away team
+ * @property {number|null} homeScore - Final home goals, null until played
+ * @property {number|null} awayScore - Final away goals, null until played
+ * @property {string} status - One of MatchModel.STATUSES
+ * @property {Object<string, Prediction>} predictions - Predictions keyed by model name
+ * @property {string} resultSuggestion - Published 1X2 suggestion, or empty
+ * @property {string} goalsSuggestion - Published goals suggestion, or empty
+ * @property {Object<string, Array>} modelSuggestions - Analyst suggestions keyed by model name
+ * @property {Object<string, number>} odds - Prices keyed by suggestion
+ * @property {Object} raw - The record the match was parsed from
+ */
+
+const MatchModel = {
+    // Model name given to the single forecast of the public feed
+    PUBLISHED_MODEL: 'published',
+
+    STATUSES: {
+        SCHEDULED: 'scheduled',
+        LIVE: 'live',
+        FINISHED: 'finished',
+        POSTPONED: 'postponed',
+        ABANDONED: 'abandoned',
+        AWARDED: 'awarded',
+        VOID: 'void'
+    },
+
+    // Status codes of other feeds, compared lower-case
+    STATUS_ALIASES: {
+        ns: 'scheduled', tbd: 'scheduled', fixture: 'scheduled',
+        '1h': 'live', ht: 'live', '2h': 'live', et: 'live', inplay: 'live', 'in play': 'live',
+        ft: 'finished', aet: 'finished', pen: 'finished', played: 'finished', full_time: 'finished',
+        pst: 'postponed', postp: 'postponed',
+        abd: 'abandoned', abn: 'abandoned', susp: 'abandoned',
+        awd: 'awarded', wo: 'awarded',
+        canc: 'void', cancelled: 'void', canceled: 'void'
+    },
+
+    /**
+     * Parse a public feed record (data.js schema)
+     * @param {Object} record - Flat record with string fields
+     * @returns {Match} Normalised match
+     */
+    fromPublic(record) {
+        const date = this.parseIsoDate(record.date);
+        return {
+            id: [record.league, record.season, record.date, record.home, record.away].join('|'),
+            country: record.country || '',
+            league: record.league || '',
+            division: record.league || '',
+            season: record.season || '',
+            week: this.toNumber(record.week),
+            date,
+            home: record.home || '',
+            away: record.away || '',
+            homeId: TeamAliases.getId(record.home || ''),
+            awayId: TeamAliases.getId(record.away || ''),
+            homeScore: this.toNumber(record.home_score),
+            awayScore: this.toNumber(record.away_score),
+            status: this.parseStatus(record.status, record.home_score, record.away_score),
+            predictions: {
+                [this.PUBLISHED_MODEL]: {
+                    home: this.toNumber(record.home_forecast),
+                    draw: this.toNumber(record.draw_forecast),
+                    away: this.toNumber(record.away_forecast),
+                    homeGoals: this.toNumber(record.home_goals_forecast),
+                    awayGoals: this.toNumber(record.away_goals_forecast)
+                }
+            },
+            resultSuggestion: record.result_suggestion || '',
+            goalsSuggestion: record.goals_suggestion || '',
+            modelSuggestions: {},
+            odds: record.odds || {},
+            raw: record
+        };
+    },
+
+    /**
+     * Parse an analyst API record (`match-info` / `model-predictions` schema)
+     * @param {Object} record - Nested record
+     * @returns {Match} Normalised match
+     */
+    fromAnalyst(record) {
+        const info = record['match-info'];
+        const predictions = {};
+        Object.entries(record['model-predictions'] || {}).forEach(([model, p]) => {
+            predictions[model] = {
+                home: this.toNumber(p['1']),
+                draw: this.toNumber(p['X']),
+                away: this.toNumber(p['2']),
+                homeGoals: this.toNumber(p['H']),
+                awayGoals: this.toNumber(p['A'])
+            };
+        });
+        return {
+            id: info.MatchId,
+            country: info.Country || '',
+            league: info.Div || '',
+            division: info.Div || '',
+            season: info.Season || '',
+            week: this.toNumber(info.Week),
+            date: this.parseMatchIdDate(info.MatchId) || this.toDate(info.Date),
+            home: info.Home || '',
+            away: info.Away || '',
+            homeId: TeamAliases.getId(info.Home || ''),
+            awayId: TeamAliases.getId(info.Away || ''),
+            homeScore: this.toNumber(info.FTHG),
+            awayScore: this.toNumber(info.FTAG),
+            status: this.parseStatus(info.Status, info.FTHG, info.FTAG),
+            predictions,
+            resultSuggestion: '',
+            goalsSuggestion: '',
+            modelSuggestions: record['model-suggestions'] || {},
+            odds: record['odds'] || {},
+            raw: record
+        };
+    },
+
+    /**
+     * Status from a feed value, or from the scores when the feed has none
+     * @param {string} value - Status as given by the feed
+     * @param {*} homeScore - Home goals as given by the feed
+     * @param {*} awayScore - Away goals as given by the feed
+     * @returns {string} One of STATUSES
+     */
+    parseStatus(value, homeScore, awayScore) {
+        const text = String(value ?? '').trim().toLowerCase();
+        if (Object.values(this.STATUSES).includes(text)) return text;
+        if (this.STATUS_ALIASES[text]) return this.STATUS_ALIASES[text];
+        return this.toNumber(homeScore) !== null && this.toNumber(awayScore) !== null
+            ? this.STATUSES.FINISHED
+            : this.STATUSES.SCHEDULED;
+    },
+
+    /**
+     * Whether the final score is known. Finished and awarded matches count; a live
+     * score is not final.
+     * @param {Match} match - Match
+     * @returns {boolean} True when both scores are present and final
+     */
+    isCompleted(match) {
+        return (match.status === this.STATUSES.FINISHED || match.status === this.STATUSES.AWARDED)
+            && match.homeScore !== null && match.awayScore !== null;
+    },
+
+    /**
+     * Whether suggestions on the match are void. Abandoned matches are void too;
+     * awarded matches settle on the awarded score.
+     * @param {Match} match - Match
+     * @returns {boolean} True when stakes are refunded
+     */
+    isVoid(match) {
+        return match.status === this.STATUSES.VOID || match.status === this.STATUSES.ABANDONED;
+    },
+
+    /**
+     * Whether the match is still to be played (or being played) on its date
+     * @param {Match} match - Match
+     * @returns {boolean} True for scheduled and live matches
+     */
+    isPending(match) {
+        return match.status === this.STATUSES.SCHEDULED || match.status === this.STATUSES.LIVE;
+    },
+
+    /**
+     * Status for display, e.g. "Postponed"
+     * @param {Match} match - Match
+     * @returns {string} Capitalised status
+     */
+    getStatusLabel(match) {
+        return match.status ? match.status.charAt(0).toUpperCase() + match.status.slice(1) : '';
+    },
+
+    /**
+     * Final score in the shape the Settlement module expects
+     * @param {Match} match - Match
+     * @returns {Object|null} {home, away} or null until played
+     */
+    getScore(match) {
+        return this.isCompleted(match) ? { home: match.homeScore, away: match.awayScore } : null;
+    },
+
+    /**
+     * Date as YYYY-MM-DD in local time
+     * @param {Match} match - Match
+     * @returns {string} Date key, empty when unknown
+     */
+    getDateKey(match) {
+        const d = match.date;
+        if (!d) return '';
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    },
+
+    toDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    parseIsoDate(value) {
+        const m = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+        return m ? new Date(m[1], m[2] - 1, m[3]) : null;
+    },
+
+    /**
+     * Read the date out of an analyst MatchId. Odds feeds use "Div-dd/mm/yyyy-...",
+     * the default feed ends in "...-yyyy-mm-dd-x-y".
+     * @param {string} matchId - Match identifier
+     * @returns {Date|null} Date at local midnight
+     */
+    parseMatchIdDate(matchId) {
+        const parts = String(matchId || '').split('-');
+        const date = parts.length > 1 && parts[1].includes('/')
+            ? (([d, m, y]) => new Date(y, m - 1, d))(parts[1].split('/'))
+            : new Date(parts[parts.length - 5], parts[parts.length - 4] - 1, parts[parts.length - 3]);
+        return isNaN(date.getTime()) ? null : date;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchModel;
+} else {
+    window.MatchModel = MatchModel;
+}
@@ -0,0 +1,201 @@
+/**
+ * Metrics Module - Proper scoring rules for 1/X/2 probability forecasts
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * All scores are "lower is better":
+ *   Brier score     sum of squared errors over the three outcomes (0 - 2)
+ *   Log loss        negative natural log of the probability given to the actual outcome
+ *   RPS             ranked probability score, which respects the 1 < X < 2 ordering (0 - 1)
+ *
+ * Paired significance tests compare two models on the same matches:
+ *   McNemar         on hit/miss of the picks, exact binomial when there are few discordant pairs
+ *   Diebold-Mariano on per-match loss differences (one-step forecasts, so no autocorrelation lags)
+ */
+
+const Metrics = {
+    OUTCOMES: ['1', 'X', '2'],
+
+    // Floor for probabilities in log loss so a confident miss does not score Infinity
+    EPSILON: 1e-6,
+
+    /**
+     * Scale probabilities so they sum to 1
+     * @param {Array<number>} probs - Home, draw and away probabilities
+     * @returns {Array<number>|null} Normalised probabilities, or null when unusable
+     */
+    normalise(probs) {
+        const values = probs.map(p => parseFloat(p));
+        const total = values.reduce((a, b) => a + b, 0);
+        if (values.some(p => !Number.isFinite(p) || p < 0) || total <= 0) return null;
+        return values.map(p => p / total);
+    },
+
+    /**
+     * Brier score of one forecast
+     * @param {Array<number>} probs - Normalised home, draw and away probabilities
+     * @param {number} actual - Index of the actual outcome (0 home, 1 draw, 2 away)
+     * @returns {number} Brier score
+     */
+    brier(probs, actual) {
+        return probs.reduce((sum, p, i) => sum + Math.pow(p - (i === actual ? 1 : 0), 2), 0);
+    },
+
+    /**
+     * Logarithmic loss of one forecast
+     * @param {Array<number>} probs - Normalised home, draw and away probabilities
+     * @param {number} actual - Index of the actual outcome
+     * @returns {number} Log loss
+     */
+    logLoss(probs, actual) {
+        return -Math.log(Math.max(probs[actual], this.EPSILON));
+    },
+
+    /**
+     * Ranked probability score of one forecast
+     * @param {Array<number>} probs - Normalised home, draw and away probabilities
+     * @param {number} actual - Index of the actual outcome
+     * @returns {number} RPS
+     */
+    rps(probs, actual) {
+        let forecastCum = 0;
+        let outcomeCum = 0;
+        let sum = 0;
+        for (let i = 0; i < probs.length - 1; i++) {
+            forecastCum += probs[i];
+            outcomeCum += i === actual ? 1 : 0;
+            sum += Math.pow(forecastCum - outcomeCum, 2);
+        }
+        return sum / (probs.length - 1);
+    },
+
+    /**
+     * Score a single forecast with every rule
+     * @param {Array<number>} probs - Home, draw and away probabilities (normalised here)
+     * @param {string} result - Actual result, "1", "X" or "2"
+     * @returns {Object|null} {brier, logLoss, rps} or null when the forecast is unusable
+     */
+    score(probs, result) {
+        const normalised = this.normalise(probs);
+        const actual = this.OUTCOMES.indexOf(result);
+        if (!normalised || actual < 0) return null;
+        return {
+            brier: this.brier(normalised, actual),
+            logLoss: this.logLoss(normalised, actual),
+            rps: this.rps(normalised, actual)
+        };
+    },
+
+    /**
+     * Average the scores of many forecasts
+     * @param {Array<Object>} forecasts - Items of shape {probs, result}
+     * @returns {Object} {count, brier, logLoss, rps}; scores are null when count is 0
+     */
+    summarise(forecasts) {
+        const scores = forecasts.map(f => this.score(f.probs, f.result)).filter(Boolean);
+        const mean = key => scores.length ? scores.reduce((sum, s) => sum + s[key], 0) / scores.length : null;
+        return {
+            count: scores.length,
+            brier: mean('brier'),
+            logLoss: mean('logLoss'),
+            rps: mean('rps')
+        };
+    },
+
+    /**
+     * Summarise forecasts per group
+     * @param {Array<Object>} forecasts - Items of shape {probs, result}
+     * @param {Function} keyFn - Returns the group key of a forecast
+     * @returns {Map<*, Object>} Summaries keyed by group, in first-seen order
+     */
+    summariseBy(forecasts, keyFn) {
+        const groups = new Map();
+        forecasts.forEach(f => {
+            const key = keyFn(f);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(f);
+        });
+        return new Map([...groups].map(([key, items]) => [key, this.summarise(items)]));
+    },
+
+    // Below this many discordant pairs McNemar uses the exact binomial test
+    MCNEMAR_EXACT_BELOW: 25,
+
+    /**
+     * McNemar test on paired hit/miss outcomes
+     * @param {number} onlyA - Matches model A got right and model B got wrong
+     * @param {number} onlyB - Matches model B got right and model A got wrong
+     * @returns {Object|null} {statistic, pValue, exact}, null without discordant pairs
+     */
+    mcnemar(onlyA, onlyB) {
+        const n = onlyA + onlyB;
+        if (n === 0) return null;
+        if (n < this.MCNEMAR_EXACT_BELOW) {
+            let tail = 0;
+            let coefficient = 1;
+            for (let k = 0; k <= Math.min(onlyA, onlyB); k++) {
+                tail += coefficient;
+                coefficient = coefficient * (n - k) / (k + 1);
+            }
+            return { statistic: Math.min(onlyA, onlyB), pValue: Math.min(1, 2 * tail / Math.pow(2, n)), exact: true };
+        }
+        const statistic = Math.pow(Math.abs(onlyA - onlyB) - 1, 2) / n;
+        return { statistic, pValue: 2 * (1 - this.normalCdf(Math.sqrt(statistic))), exact: false };
+    },
+
+    /**
+     * Diebold-Mariano test on paired losses
+     * @param {Array<number>} differences - Loss of model A minus loss of model B, per match
+     * @returns {Object|null} {statistic, pValue, meanDifference}; negative means A is better.
+     *   Null with fewer than two pairs or identical losses throughout.
+     */
+    dieboldMariano(differences) {
+        const n = differences.length;
+        if (n < 2) return null;
+        const mean = differences.reduce((a, b) => a + b, 0) / n;
+        const variance = differences.reduce((sum, d) => sum + Math.pow(d - mean, 2), 0) / (n - 1);
+        if (variance === 0) return null;
+        const statistic = mean / Math.sqrt(variance / n);
+        return { statistic, pValue: 2 * (1 - this.normalCdf(Math.abs(statistic))), meanDifference: mean };
+    },
+
+    /**
+     * Summary of forecast errors with a z-test of whether their mean differs from zero
+     * @param {Array<number>} errors - Actual minus forecast, per match
+     * @returns {Object|null} {count, bias, mae, statistic, pValue}; statistic and pValue are null
+     *   with fewer than two errors or identical errors throughout. Null without errors.
+     */
+    errorSummary(errors) {
+        const n = errors.length;
+        if (n === 0) return null;
+        const bias = errors.reduce((a, b) => a + b, 0) / n;
+        const mae = errors.reduce((sum, e) => sum + Math.abs(e), 0) / n;
+        const variance = n > 1 ? errors.reduce((sum, e) => sum + Math.pow(e - bias, 2), 0) / (n - 1) : 0;
+        const statistic = variance > 0 ? bias / Math.sqrt(variance / n) : null;
+        return {
+            count: n,
+            bias,
+            mae,
+            statistic,
+            pValue: statistic === null ? null : 2 * (1 - this.normalCdf(Math.abs(statistic)))
+        };
+    },
+
+    /**
+     * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+     * @param {number} x - Value
+     * @returns {number} P(Z <= x)
+     */
+    normalCdf(x) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-x * x / 2);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Metrics;
+} else {
+    window.Metrics = Metrics;
+}
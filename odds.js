@@ -0,0 +1,103 @@
+/**
+ * Odds Module - Bookmaker prices, implied probabilities and overround removal
+ *
+ * Prices are kept as a flat map keyed by suggestion strings the Settlement module
+ * understands, e.g. { '1': 2.10, 'X': 3.40, '2': 3.60, 'Over 2.5': 1.95, 'BTTS Yes': 1.80 }.
+ * They can come from an explicit `odds` object on the match or from football-data style
+ * columns on the match info (PSH/PSD/PSA, Avg>2.5, B365<2.5, ...).
+ */
+
+const Odds = {
+    // Sharpest first: Pinnacle, market average, Bet365
+    BOOKMAKERS: [
+        { result: 'PS', totals: 'P' },
+        { result: 'Avg', totals: 'Avg' },
+        { result: 'B365', totals: 'B365' }
+    ],
+
+    /**
+     * Collect prices for a match
+     * @param {Object} matchInfo - Match info, possibly holding football-data odds columns
+     * @param {Object} explicitOdds - Optional price map keyed by suggestion
+     * @returns {Object} Price map keyed by suggestion
+     */
+    getPrices(matchInfo, explicitOdds) {
+        const prices = {};
+        Object.entries(explicitOdds || {}).forEach(([suggestion, price]) => {
+            if (this.isPrice(price)) prices[suggestion] = parseFloat(price);
+        });
+
+        const info = matchInfo || {};
+        const resultBook = this.BOOKMAKERS.find(b => ['H', 'D', 'A'].every(c => this.isPrice(info[b.result + c])));
+        if (resultBook && !('1' in prices)) {
+            prices['1'] = parseFloat(info[resultBook.result + 'H']);
+            prices['X'] = parseFloat(info[resultBook.result + 'D']);
+            prices['2'] = parseFloat(info[resultBook.result + 'A']);
+        }
+
+        const lines = new Set(Object.keys(info)
+            .map(key => key.match(/^[A-Za-z0-9]+[<>](\d+(?:\.\d+)?)$/))
+            .filter(Boolean)
+            .map(m => m[1]));
+        lines.forEach(line => {
+            if (`Over ${line}` in prices) return;
+            const book = this.BOOKMAKERS.find(b => this.isPrice(info[`${b.totals}>${line}`]) && this.isPrice(info[`${b.totals}<${line}`]));
+            if (!book) return;
+            prices[`Over ${line}`] = parseFloat(info[`${book.totals}>${line}`]);
+            prices[`Under ${line}`] = parseFloat(info[`${book.totals}<${line}`]);
+        });
+        return prices;
+    },
+
+    isPrice(value) {
+        const price = parseFloat(value);
+        return Number.isFinite(price) && price > 1;
+    },
+
+    /**
+     * Group prices into complete markets
+     * @param {Object} prices - Price map keyed by suggestion
+     * @returns {Array<Object>} Markets of shape {label, outcomes: [{suggestion, price}]}
+     */
+    getMarkets(prices) {
+        const groups = [{ label: '1X2', suggestions: ['1', 'X', '2'] }];
+        Object.keys(prices)
+            .map(suggestion => suggestion.match(/^Over (\d+(?:\.\d+)?)$/))
+            .filter(Boolean)
+            .map(m => m[1])
+            .sort((a, b) => a - b)
+            .forEach(line => groups.push({ label: `O/U ${line}`, suggestions: [`Over ${line}`, `Under ${line}`] }));
+        groups.push({ label: 'BTTS', suggestions: ['BTTS Yes', 'BTTS No'] });
+
+        return groups
+            .filter(group => group.suggestions.every(s => s in prices))
+            .map(group => this.priceMarket(group.label, group.suggestions.map(s => ({ suggestion: s, price: prices[s] }))));
+    },
+
+    /**
+     * Add implied and fair (overround-free) probabilities to a market.
+     * The margin is removed proportionally to each outcome's implied probability.
+     * @param {string} label - Market label
+     * @param {Array<Object>} outcomes - [{suggestion, price}]
+     * @returns {Object} {label, overround, outcomes: [{suggestion, price, implied, fair}]}
+     */
+    priceMarket(label, outcomes) {
+        const booksum = outcomes.reduce((sum, o) => sum + 1 / o.price, 0);
+        return {
+            label,
+            overround: booksum - 1,
+            outcomes: outcomes.map(o => ({
+                ...o,
+                implied: 1 / o.price,
+                fair: (1 / o.price) / booksum
+            }))
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Odds;
+} else {
+    window.Odds = Odds;
+}
@@ -0,0 +1,76 @@
+/**
+ * Router Module - Dashboard state in the URL hash
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * State is a flat map of strings encoded as "#tab=results&country=Spain". Only the hash is
+ * used, so the query string stays free for the analyst app, which forwards it to the API.
+ * Updates go through the History API and therefore do not fire hashchange; back/forward
+ * fire popstate and pasted links fire hashchange, and both reach the listener once.
+ */
+
+const HashRouter = {
+    // Hash the page currently reflects, so one navigation firing both events is handled once
+    lastHash: null,
+
+    /**
+     * Current state from the URL hash
+     * @returns {Object<string, string>} State, empty when there is no hash
+     */
+    read() {
+        const state = {};
+        new URLSearchParams(window.location.hash.replace(/^#/, '')).forEach((value, key) => {
+            state[key] = value;
+        });
+        return state;
+    },
+
+    /**
+     * Encode state as a hash, leaving out empty values
+     * @param {Object} state - Flat state map
+     * @returns {string} Hash including the leading "#", or "" for an empty state
+     */
+    stringify(state) {
+        const params = new URLSearchParams();
+        Object.entries(state).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        const query = params.toString();
+        return query ? `#${query}` : '';
+    },
+
+    /**
+     * Write state into the URL without reloading
+     * @param {Object} state - Flat state map
+     * @param {boolean} replace - Replace the current history entry instead of adding one
+     */
+    update(state, replace = false) {
+        const hash = this.stringify(state);
+        if (hash === window.location.hash || (!hash && !window.location.hash)) return;
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        this.lastHash = hash;
+        if (replace) history.replaceState(null, '', url);
+        else history.pushState(null, '', url);
+    },
+
+    /**
+     * Call back whenever the user navigates (back/forward or an edited/pasted hash)
+     * @param {Function} callback - Receives the new state
+     */
+    listen(callback) {
+        this.lastHash = window.location.hash;
+        const handler = () => {
+            if (window.location.hash === this.lastHash) return;
+            this.lastHash = window.location.hash;
+            callback(this.read());
+        };
+        window.addEventListener('popstate', handler);
+        window.addEventListener('hashchange', handler);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashRouter;
+} else {
+    window.HashRouter = HashRouter;
+}
@@ -0,0 +1,136 @@
+/**
+ * Scoreline Module - Poisson scoreline probabilities from expected goals
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * Independent Poisson goals undercount low draws; the optional Dixon-Coles
+ * correction reweights 0-0, 1-0, 0-1 and 1-1 by a dependence parameter rho.
+ */
+
+const Scoreline = {
+    MAX_GOALS: 6,
+
+    // Typical fitted value for top-flight leagues; 0 means plain Poisson
+    DIXON_COLES_RHO: -0.1,
+
+    // Over/Under lines shown alongside the matrix
+    TOTAL_LINES: [0.5, 1.5, 2.5, 3.5, 4.5],
+
+    /**
+     * Poisson probability of exactly k goals
+     * @param {number} k - Goals
+     * @param {number} lambda - Expected goals
+     * @returns {number} Probability
+     */
+    poisson(k, lambda) {
+        let factorial = 1;
+        for (let i = 2; i <= k; i++) factorial *= i;
+        return Math.exp(-lambda) * Math.pow(lambda, k) / factorial;
+    },
+
+    /**
+     * Dixon-Coles adjustment factor for a scoreline
+     * @param {number} home - Home goals
+     * @param {number} away - Away goals
+     * @param {number} homeExpected - Expected home goals
+     * @param {number} awayExpected - Expected away goals
+     * @param {number} rho - Dependence parameter
+     * @returns {number} Factor applied to the Poisson probability, never negative
+     */
+    dixonColes(home, away, homeExpected, awayExpected, rho) {
+        let tau = 1;
+        if (home === 0 && away === 0) tau = 1 - homeExpected * awayExpected * rho;
+        else if (home === 0 && away === 1) tau = 1 + homeExpected * rho;
+        else if (home === 1 && away === 0) tau = 1 + awayExpected * rho;
+        else if (home === 1 && away === 1) tau = 1 - rho;
+        return Math.max(tau, 0);
+    },
+
+    /**
+     * Probability of every scoreline up to maxGoals per side, renormalised to sum to 1
+     * @param {number} homeExpected - Expected home goals
+     * @param {number} awayExpected - Expected away goals
+     * @param {number} maxGoals - Highest goal count per side
+     * @param {number} rho - Dixon-Coles dependence parameter, 0 for plain Poisson
+     * @returns {Array<Array<number>>|null} matrix[home][away], or null for unusable inputs
+     */
+    matrix(homeExpected, awayExpected, maxGoals = this.MAX_GOALS, rho = 0) {
+        const home = parseFloat(homeExpected);
+        const away = parseFloat(awayExpected);
+        if (!Number.isFinite(home) || !Number.isFinite(away) || home < 0 || away < 0) return null;
+        const grid = [];
+        let total = 0;
+        for (let h = 0; h <= maxGoals; h++) {
+            grid.push([]);
+            for (let a = 0; a <= maxGoals; a++) {
+                const p = this.poisson(h, home) * this.poisson(a, away) * (rho ? this.dixonColes(h, a, home, away, rho) : 1);
+                grid[h].push(p);
+                total += p;
+            }
+        }
+        return grid.map(row => row.map(p => p / total));
+    },
+
+    /**
+     * Probability that a suggestion wins, summed over the scoreline matrix
+     * @param {Array<Array<number>>} grid - Scoreline matrix
+     * @param {string} suggestion - Any suggestion the Settlement module understands
+     * @returns {number|null} Win probability, or null when the market is unknown
+     */
+    marketProbability(grid, suggestion) {
+        if (!grid || !Settlement.findMarket(suggestion)) return null;
+        let probability = 0;
+        grid.forEach((row, home) => row.forEach((p, away) => {
+            const outcome = Settlement.settle(suggestion, { home, away });
+            if (outcome === Settlement.OUTCOMES.WIN) probability += p;
+            else if (outcome === Settlement.OUTCOMES.HALF_WIN) probability += p / 2;
+        }));
+        return probability;
+    },
+
+    /**
+     * Most likely scorelines
+     * @param {Array<Array<number>>} grid - Scoreline matrix
+     * @param {number} count - How many to return
+     * @returns {Array<Object>} [{home, away, probability}], most likely first
+     */
+    getLikeliest(grid, count = 3) {
+        return grid
+            .flatMap((row, home) => row.map((probability, away) => ({ home, away, probability })))
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, count);
+    },
+
+    /**
+     * Markets derived from the matrix: totals, BTTS, clean sheets and double chance
+     * @param {Array<Array<number>>} grid - Scoreline matrix
+     * @returns {Array<Object>} [{label, outcomes: [{label, probability}]}]
+     */
+    getDerivedMarkets(grid) {
+        const priced = (label, suggestions) => ({
+            label,
+            outcomes: suggestions.map(s => ({ label: s, probability: this.marketProbability(grid, s) }))
+        });
+        const sum = predicate => grid.reduce((total, row, home) =>
+            total + row.reduce((rowTotal, p, away) => rowTotal + (predicate(home, away) ? p : 0), 0), 0);
+
+        return [
+            ...this.TOTAL_LINES.map(line => priced(`O/U ${line}`, [`Over ${line}`, `Under ${line}`])),
+            priced('BTTS', ['BTTS Yes', 'BTTS No']),
+            {
+                label: 'Clean Sheet',
+                outcomes: [
+                    { label: 'Home', probability: sum((home, away) => away === 0) },
+                    { label: 'Away', probability: sum(home => home === 0) }
+                ]
+            },
+            priced('Double Chance', ['1X', '12', 'X2'])
+        ];
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scoreline;
+} else {
+    window.Scoreline = Scoreline;
+}
@@ -0,0 +1,180 @@
+/**
+ * Settlement Module - Settles suggestion strings against final scores
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * Every market is registered with a `parse` function that recognises a suggestion
+ * string (returning its parameters, or null) and a `settle` function that turns those
+ * parameters and a final score into one of the OUTCOMES.
+ */
+
+const Settlement = {
+    OUTCOMES: {
+        WIN: 'win',
+        HALF_WIN: 'half-win',
+        PUSH: 'push',
+        HALF_LOSE: 'half-lose',
+        LOSE: 'lose',
+        VOID: 'void'
+    },
+
+    markets: [],
+
+    /**
+     * Register a market definition. Later registrations take precedence.
+     * @param {Object} market - {id, label, parse(suggestion), settle(params, score)}
+     */
+    register(market) {
+        this.markets = [market, ...this.markets.filter(m => m.id !== market.id)];
+    },
+
+    /**
+     * Find the market a suggestion belongs to
+     * @param {string} suggestion - Suggestion string, e.g. "1X" or "Over 2.5"
+     * @returns {Object|null} {market, params} or null when no market recognises it
+     */
+    findMarket(suggestion) {
+        if (typeof suggestion !== 'string' || !suggestion.trim()) return null;
+        const text = suggestion.trim();
+        for (const market of this.markets) {
+            const params = market.parse(text);
+            if (params) return { market, params };
+        }
+        return null;
+    },
+
+    /**
+     * Settle a suggestion against a final score
+     * @param {string} suggestion - Suggestion string
+     * @param {Object} score - {home, away} goals
+     * @returns {string|undefined} One of OUTCOMES, or undefined when it cannot be settled
+     */
+    settle(suggestion, score) {
+        const found = this.findMarket(suggestion);
+        if (!found || !score) return undefined;
+        const home = parseFloat(score.home);
+        const away = parseFloat(score.away);
+        if (!Number.isFinite(home) || !Number.isFinite(away)) return undefined;
+        return found.market.settle(found.params, { home, away });
+    },
+
+    /**
+     * Reduce an outcome to a hit/miss for accuracy figures
+     * @param {string|undefined} outcome - One of OUTCOMES
+     * @returns {boolean|undefined} True for (half) wins, false for (half) losses, undefined otherwise
+     */
+    isCorrect(outcome) {
+        if (outcome === this.OUTCOMES.WIN || outcome === this.OUTCOMES.HALF_WIN) return true;
+        if (outcome === this.OUTCOMES.LOSE || outcome === this.OUTCOMES.HALF_LOSE) return false;
+        return undefined;
+    },
+
+    /**
+     * Settle a margin against a handicap or goal line, splitting quarter lines in two halves
+     * @param {number} value - Goal difference or goal total, seen from the backed side
+     * @param {number} line - Line the value must beat
+     * @returns {string} Outcome
+     */
+    settleLine(value, line) {
+        if (Math.abs((line * 4) % 2) === 1) {
+            const halves = [this.settleLine(value, line - 0.25), this.settleLine(value, line + 0.25)];
+            if (halves[0] === halves[1]) return halves[0];
+            return halves.includes(this.OUTCOMES.WIN) ? this.OUTCOMES.HALF_WIN : this.OUTCOMES.HALF_LOSE;
+        }
+        if (value > line) return this.OUTCOMES.WIN;
+        if (value < line) return this.OUTCOMES.LOSE;
+        return this.OUTCOMES.PUSH;
+    },
+
+    /**
+     * Result of a match as "1", "X" or "2"
+     * @param {Object} score - {home, away} goals
+     * @returns {string} Full-time result
+     */
+    getResult(score) {
+        if (score.home > score.away) return '1';
+        if (score.home < score.away) return '2';
+        return 'X';
+    }
+};
+
+// Needs the CS prefix: bare "2-4" is also how the analyst API writes goal ranges
+Settlement.register({
+    id: 'correct-score',
+    label: 'Correct Score',
+    parse: text => {
+        const m = text.match(/^CS\s*(\d+)\s*[-:]\s*(\d+)$/i);
+        return m ? { home: parseInt(m[1]), away: parseInt(m[2]) } : null;
+    },
+    settle: (params, score) => params.home === score.home && params.away === score.away
+        ? Settlement.OUTCOMES.WIN : Settlement.OUTCOMES.LOSE
+});
+
+Settlement.register({
+    id: 'draw-no-bet',
+    label: 'Draw No Bet',
+    parse: text => {
+        const m = text.match(/^DNB\s*([12])$/i);
+        return m ? { side: m[1] === '1' ? 1 : -1 } : null;
+    },
+    settle: (params, score) => Settlement.settleLine(params.side * (score.home - score.away), 0)
+});
+
+Settlement.register({
+    id: 'asian-handicap',
+    label: 'Asian Handicap',
+    parse: text => {
+        const m = text.match(/^AH\s*([12])\s*([+-]?\d+(?:\.\d+)?)$/i);
+        return m ? { side: m[1] === '1' ? 1 : -1, handicap: parseFloat(m[2]) } : null;
+    },
+    settle: (params, score) => Settlement.settleLine(params.side * (score.home - score.away), -params.handicap)
+});
+
+Settlement.register({
+    id: 'btts',
+    label: 'Both Teams To Score',
+    parse: text => {
+        const m = text.match(/^BTTS\s+(Yes|No)$/i);
+        return m ? { yes: m[1].toLowerCase() === 'yes' } : null;
+    },
+    settle: (params, score) => (score.home > 0 && score.away > 0) === params.yes
+        ? Settlement.OUTCOMES.WIN : Settlement.OUTCOMES.LOSE
+});
+
+Settlement.register({
+    id: 'over-under',
+    label: 'Over/Under',
+    parse: text => {
+        const m = text.match(/^(Over|Under)\s+(\d+(?:\.\d+)?)$/i);
+        return m ? { over: m[1].toLowerCase() === 'over', line: parseFloat(m[2]) } : null;
+    },
+    settle: (params, score) => {
+        const total = score.home + score.away;
+        return params.over ? Settlement.settleLine(total, params.line) : Settlement.settleLine(-total, -params.line);
+    }
+});
+
+Settlement.register({
+    id: 'double-chance',
+    label: 'Double Chance',
+    parse: text => {
+        const picks = text.toUpperCase().split('').sort().join('');
+        return ['1X', '2X', '12'].includes(picks) ? { results: picks.split('') } : null;
+    },
+    settle: (params, score) => params.results.includes(Settlement.getResult(score))
+        ? Settlement.OUTCOMES.WIN : Settlement.OUTCOMES.LOSE
+});
+
+Settlement.register({
+    id: '1x2',
+    label: 'Match Result',
+    parse: text => ['1', 'X', '2'].includes(text.toUpperCase()) ? { result: text.toUpperCase() } : null,
+    settle: (params, score) => Settlement.getResult(score) === params.result
+        ? Settlement.OUTCOMES.WIN : Settlement.OUTCOMES.LOSE
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Settlement;
+} else {
+    window.Settlement = Settlement;
+}
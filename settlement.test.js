@@ -0,0 +1,17 @@
+/**
+ * Regression checks for the Settlement module, run with `node --test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Settlement = require('./settlement.js');
+
+test('goal ranges are not settled as correct scores', () => {
+    assert.strictEqual(Settlement.findMarket('2-4'), null);
+    assert.strictEqual(Settlement.settle('2-4', { home: 3, away: 1 }), undefined);
+});
+
+test('correct scores need the CS prefix', () => {
+    assert.strictEqual(Settlement.settle('CS 3-1', { home: 3, away: 1 }), Settlement.OUTCOMES.WIN);
+    assert.strictEqual(Settlement.settle('CS 2:4', { home: 3, away: 1 }), Settlement.OUTCOMES.LOSE);
+});
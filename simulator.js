@@ -0,0 +1,113 @@
+/**
+ * Simulator Module - Replays settled bets through a staking plan
+ *
+ * A bet is {date, label, probability, odds, outcome} where outcome is a Settlement outcome
+ * and probability is the model's own chance of the bet winning (used by Kelly staking).
+ */
+
+const BankrollSimulator = {
+    STAKING_PLANS: {
+        flat: 'Flat Stake',
+        percentage: 'Fixed Percentage',
+        kelly: 'Fractional Kelly'
+    },
+
+    /**
+     * Stake for the next bet
+     * @param {Object} bet - Bet to place
+     * @param {number} bankroll - Current bankroll
+     * @param {Object} options - {plan, stake}; stake is units, percent or Kelly fraction
+     * @returns {number} Stake, never more than the bankroll
+     */
+    getStake(bet, bankroll, options) {
+        let stake = 0;
+        switch (options.plan) {
+            case 'flat':
+                stake = options.stake;
+                break;
+            case 'percentage':
+                stake = bankroll * options.stake / 100;
+                break;
+            case 'kelly': {
+                if (bet.probability === null || bet.odds <= 1) return 0;
+                const edge = (bet.probability * bet.odds - 1) / (bet.odds - 1);
+                stake = bankroll * options.stake * Math.max(edge, 0);
+                break;
+            }
+        }
+        return Math.max(0, Math.min(stake, bankroll));
+    },
+
+    /**
+     * Profit or loss of a settled stake
+     * @param {string} outcome - Settlement outcome
+     * @param {number} stake - Amount staked
+     * @param {number} odds - Decimal odds
+     * @returns {number} Profit (negative for a loss)
+     */
+    getProfit(outcome, stake, odds) {
+        switch (outcome) {
+            case Settlement.OUTCOMES.WIN: return stake * (odds - 1);
+            case Settlement.OUTCOMES.HALF_WIN: return stake * (odds - 1) / 2;
+            case Settlement.OUTCOMES.HALF_LOSE: return -stake / 2;
+            case Settlement.OUTCOMES.LOSE: return -stake;
+            default: return 0;
+        }
+    },
+
+    /**
+     * Run the simulation. Pushes and voids are refunded, so they are neither staked nor counted
+     * @param {Array<Object>} bets - Bets in the order they are placed
+     * @param {Object} options - {plan, stake, bankroll}
+     * @returns {Object} {curve, bets, staked, profit, roi, maxDrawdown, longestLosingStreak, finalBankroll}
+     */
+    run(bets, options) {
+        let bankroll = options.bankroll;
+        let peak = bankroll;
+        let maxDrawdown = 0;
+        let losingStreak = 0;
+        let longestLosingStreak = 0;
+        let staked = 0;
+        let placed = 0;
+        const curve = [{ label: 'Start', bankroll }];
+
+        for (const bet of bets) {
+            if (bankroll <= 0) break;
+            if (Settlement.isCorrect(bet.outcome) === undefined) continue;
+            const stake = this.getStake(bet, bankroll, options);
+            if (stake <= 0) continue;
+
+            const profit = this.getProfit(bet.outcome, stake, bet.odds);
+            bankroll += profit;
+            staked += stake;
+            placed++;
+
+            if (profit < 0) losingStreak++;
+            else if (profit > 0) losingStreak = 0;
+            longestLosingStreak = Math.max(longestLosingStreak, losingStreak);
+
+            peak = Math.max(peak, bankroll);
+            maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - bankroll) / peak : 0);
+            curve.push({ label: `${bet.date} ${bet.label}`, bankroll });
+        }
+
+        const profit = bankroll - options.bankroll;
+        return {
+            curve,
+            bets: placed,
+            staked,
+            profit,
+            roi: staked ? profit / staked : 0,
+            maxDrawdown,
+            longestLosingStreak,
+            finalBankroll: bankroll
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankrollSimulator;
+} else {
+    window.BankrollSimulator = BankrollSimulator;
+}
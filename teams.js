@@ -0,0 +1,130 @@
+/**
+ * Teams Module - Per-team views and league tables over normalised matches
+ * Shared by the public dashboard and the analyst dashboard
+ *
+ * Teams are compared by canonical id (TeamAliases), so every spelling of a club
+ * counts towards the same record.
+ */
+
+const TeamStats = {
+    /**
+     * Every match a team played or will play, oldest first
+     * @param {Array<Match>} matches - Normalised matches
+     * @param {string} team - Team name
+     * @returns {Array<Match>} The team's matches
+     */
+    getTeamMatches(matches, team) {
+        const id = TeamAliases.getId(team);
+        return matches
+            .filter(m => m.homeId === id || m.awayId === id)
+            .sort((a, b) => (a.date?.getTime() || 0) - (b.date?.getTime() || 0));
+    },
+
+    /**
+     * A match seen from one team's side
+     * @param {Match} match - Normalised match
+     * @param {string} team - Team name
+     * @param {string} model - Model whose prediction is used
+     * @returns {Object} {match, venue, opponent, goalsFor, goalsAgainst, expectedFor, expectedAgainst, winProb, drawProb, lossProb, result}
+     */
+    getPerspective(match, team, model) {
+        const isHome = match.homeId === TeamAliases.getId(team);
+        const prediction = match.predictions[model] || {};
+        const goalsFor = isHome ? match.homeScore : match.awayScore;
+        const goalsAgainst = isHome ? match.awayScore : match.homeScore;
+        return {
+            match,
+            venue: isHome ? 'home' : 'away',
+            opponent: isHome ? match.away : match.home,
+            goalsFor,
+            goalsAgainst,
+            expectedFor: (isHome ? prediction.homeGoals : prediction.awayGoals) ?? null,
+            expectedAgainst: (isHome ? prediction.awayGoals : prediction.homeGoals) ?? null,
+            winProb: (isHome ? prediction.home : prediction.away) ?? null,
+            drawProb: prediction.draw ?? null,
+            lossProb: (isHome ? prediction.away : prediction.home) ?? null,
+            result: goalsFor === null || goalsAgainst === null ? null
+                : goalsFor > goalsAgainst ? 'W' : goalsFor < goalsAgainst ? 'L' : 'D'
+        };
+    },
+
+    /**
+     * Results summary over a team's completed matches
+     * @param {Array<Match>} matches - Normalised matches
+     * @param {string} team - Team name
+     * @param {string} model - Model whose prediction is used
+     * @param {number} lastN - How many recent results make up the form
+     * @returns {Object} {played, wins, draws, losses, goalsFor, goalsAgainst, form}
+     */
+    getSummary(matches, team, model, lastN = 5) {
+        const played = this.getTeamMatches(matches, team)
+            .filter(m => MatchModel.isCompleted(m))
+            .map(m => this.getPerspective(m, team, model));
+        const count = result => played.filter(p => p.result === result).length;
+        return {
+            played: played.length,
+            wins: count('W'),
+            draws: count('D'),
+            losses: count('L'),
+            goalsFor: played.reduce((sum, p) => sum + p.goalsFor, 0),
+            goalsAgainst: played.reduce((sum, p) => sum + p.goalsAgainst, 0),
+            form: played.slice(-lastN).map(p => p.result)
+        };
+    },
+
+    /**
+     * League table from completed matches, with home/away splits and expected points.
+     * Expected points are 3 × P(win) + P(draw) from the model's 1X2 probabilities,
+     * summed over the same completed matches the real points come from.
+     * @param {Array<Match>} matches - Matches of one league and season
+     * @param {string} model - Model whose prediction is used for expected points
+     * @returns {Array<Object>} Rows of shape {team, played, wins, draws, losses, goalsFor,
+     *   goalsAgainst, goalDiff, points, expectedPoints, home, away}, ranked
+     */
+    getStandings(matches, model) {
+        const emptyRecord = () => ({ played: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0, points: 0 });
+        const rows = {};
+        matches.filter(m => MatchModel.isCompleted(m)).forEach(m => {
+            [m.home, m.away].forEach(team => {
+                const p = this.getPerspective(m, team, model);
+                const id = TeamAliases.getId(team);
+                const row = rows[id] = rows[id] || { team: TeamAliases.getName(team), ...emptyRecord(), expectedPoints: 0, home: emptyRecord(), away: emptyRecord() };
+                const points = { W: 3, D: 1, L: 0 }[p.result];
+                [row, row[p.venue]].forEach(record => {
+                    record.played++;
+                    record.wins += p.result === 'W' ? 1 : 0;
+                    record.draws += p.result === 'D' ? 1 : 0;
+                    record.losses += p.result === 'L' ? 1 : 0;
+                    record.goalsFor += p.goalsFor;
+                    record.goalsAgainst += p.goalsAgainst;
+                    record.points += points;
+                });
+                if (p.winProb !== null && p.drawProb !== null) row.expectedPoints += 3 * p.winProb + p.drawProb;
+            });
+        });
+        return Object.values(rows)
+            .map(row => ({ ...row, goalDiff: row.goalsFor - row.goalsAgainst }))
+            .sort((a, b) => b.points - a.points || b.goalDiff - a.goalDiff || b.goalsFor - a.goalsFor || a.team.localeCompare(b.team));
+    },
+
+    /**
+     * Every team appearing in the matches, once per canonical id, sorted
+     * @param {Array<Match>} matches - Normalised matches
+     * @returns {Array<string>} Canonical team names
+     */
+    getTeams(matches) {
+        const names = new Map();
+        matches.flatMap(m => [m.home, m.away]).filter(Boolean).forEach(team => {
+            const id = TeamAliases.getId(team);
+            if (!names.has(id)) names.set(id, TeamAliases.getName(team));
+        });
+        return [...names.values()].sort((a, b) => a.localeCompare(b));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TeamStats;
+} else {
+    window.TeamStats = TeamStats;
+}
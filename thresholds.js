@@ -0,0 +1,132 @@
+/**
+ * Thresholds Module - Re-derives suggestions under probability cut-offs and grades their confidence
+ *
+ * A market lists the suggestions it can make. For every match the most likely candidate is
+ * suggested when its probability reaches the threshold, so raising the threshold trades
+ * coverage for hit rate. Probabilities, settlement and prices are passed in, which keeps the
+ * module independent of where the forecasts come from.
+ */
+
+const Thresholds = {
+    TIERS: {
+        STRONG: 'strong',
+        MEDIUM: 'medium',
+        WEAK: 'weak'
+    },
+
+    MARKETS: {
+        result: { label: 'Result (1/X/2)', candidates: ['1', 'X', '2'], from: 0.34 },
+        'over-under': { label: 'Over/Under 2.5', candidates: ['Over 2.5', 'Under 2.5'], from: 0.5 },
+        btts: { label: 'Both Teams To Score', candidates: ['BTTS Yes', 'BTTS No'], from: 0.5 }
+    },
+
+    /**
+     * Most likely candidate of a match, whatever its probability
+     * @param {*} match - Match
+     * @param {Array<string>} candidates - Suggestion strings
+     * @param {Function} getProbability - (match, suggestion) => probability or null
+     * @returns {Object|null} {suggestion, probability}, null when no candidate has a probability
+     */
+    pick(match, candidates, getProbability) {
+        return candidates.reduce((best, suggestion) => {
+            const probability = getProbability(match, suggestion);
+            if (probability === null || probability === undefined || Number.isNaN(probability)) return best;
+            return !best || probability > best.probability ? { suggestion, probability } : best;
+        }, null);
+    },
+
+    /**
+     * Suggestion of a match under a threshold
+     * @param {*} match - Match
+     * @param {Array<string>} candidates - Suggestion strings
+     * @param {number} threshold - Minimum probability
+     * @param {Function} getProbability - (match, suggestion) => probability or null
+     * @returns {Object|null} {suggestion, probability}, null when nothing reaches the threshold
+     */
+    derive(match, candidates, threshold, getProbability) {
+        const best = this.pick(match, candidates, getProbability);
+        return best && best.probability >= threshold ? best : null;
+    },
+
+    /**
+     * Hit rate and flat-stake ROI of settled suggestions. Pushes and voids are refunded:
+     * they stay out of both the hit rate and the amount staked.
+     * @param {Array<Object>} bets - {outcome, odds}
+     * @returns {Object} {count, decided, hitRate, roi}; rates are null without decided bets
+     */
+    summarise(bets) {
+        let decided = 0;
+        let correct = 0;
+        let profit = 0;
+        bets.forEach(bet => {
+            const isCorrect = Settlement.isCorrect(bet.outcome);
+            if (isCorrect === undefined) return;
+            decided++;
+            if (isCorrect) correct++;
+            profit += BankrollSimulator.getProfit(bet.outcome, 1, bet.odds);
+        });
+        return {
+            count: bets.length,
+            decided,
+            hitRate: decided ? correct / decided : null,
+            roi: decided ? profit / decided : null
+        };
+    },
+
+    /**
+     * Hit rate, coverage and ROI of the re-derived suggestions at every threshold
+     * @param {Array} matches - Completed matches
+     * @param {Object} options - {candidates, thresholds, getProbability, settle(match, suggestion), getOdds(match, suggestion)}
+     * @returns {Array<Object>} {threshold, count, decided, coverage, hitRate, roi} per threshold
+     */
+    explore(matches, options) {
+        const picks = matches
+            .map(match => ({ match, best: this.pick(match, options.candidates, options.getProbability) }))
+            .filter(({ best }) => best)
+            .map(({ match, best }) => ({
+                probability: best.probability,
+                outcome: options.settle(match, best.suggestion),
+                odds: options.getOdds(match, best.suggestion)
+            }))
+            .filter(pick => pick.outcome !== undefined);
+
+        return options.thresholds.map(threshold => {
+            const summary = this.summarise(picks.filter(pick => pick.probability >= threshold));
+            return { threshold, ...summary, coverage: picks.length ? summary.count / picks.length : null };
+        });
+    },
+
+    /**
+     * Thresholds from a market's lowest sensible cut-off up to 95%
+     * @param {string} market - Key of MARKETS
+     * @param {number} step - Distance between thresholds
+     * @returns {Array<number>} Thresholds
+     */
+    getRange(market, step = 0.01) {
+        const range = [];
+        for (let t = Math.ceil(this.MARKETS[market].from / step) * step; t <= 0.95 + 1e-9; t += step) {
+            range.push(+t.toFixed(4));
+        }
+        return range;
+    },
+
+    /**
+     * Confidence tier of a suggestion probability
+     * @param {number|null} probability - Probability of the suggestion
+     * @param {Object} cutoffs - {strong, medium} minimum probabilities
+     * @returns {string|null} One of TIERS, or null without a probability
+     */
+    getTier(probability, cutoffs) {
+        if (probability === null || probability === undefined || Number.isNaN(probability)) return null;
+        if (probability >= cutoffs.strong) return this.TIERS.STRONG;
+        if (probability >= cutoffs.medium) return this.TIERS.MEDIUM;
+        return this.TIERS.WEAK;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Thresholds;
+} else {
+    window.Thresholds = Thresholds;
+}